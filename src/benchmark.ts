@@ -0,0 +1,51 @@
+///<reference path="main.ts"/>
+
+/**
+ * The results of `runBenchmark`.
+ */
+type BenchmarkResult = Readonly<{
+    /**
+     * The number of steps taken by the demo program.
+     */
+    steps: number,
+    /**
+     * The number of steps per second when running the demo program.
+     */
+    stepsPerSecond: number,
+    /**
+     * The number of grid cells per second when recomputing all matches
+     * from scratch.
+     */
+    cellsPerSecond: number,
+}>
+
+/**
+ * Measures the speed of the pattern matcher, using the demo's rules. The
+ * demo program is run for at most `maxSteps` steps with the given seed,
+ * since it does not terminate, and then the matches in the resulting grid
+ * are recomputed `repetitions` times. This does not use the DOM, so it can
+ * be run in a browser console or in Node.js; see `--benchmark` in `CLI`.
+ */
+function runBenchmark(size: number = 2, seed: number = 1, maxSteps: number = 100000, repetitions: number = 20): BenchmarkResult {
+    const GRID_SIZE = demoGridSize(size);
+    const program = makeDemoProgram(size);
+    const interpreter = program.makeInterpreter(GRID_SIZE, GRID_SIZE, new PRNG(seed));
+    const {grid} = interpreter.state;
+    
+    let startTime = performance.now();
+    const steps = interpreter.run(maxSteps);
+    const stepTime = performance.now() - startTime;
+    
+    // reloading the grid's own contents causes every cell to be rescanned
+    startTime = performance.now();
+    for(let i = 0; i < repetitions; ++i) {
+        grid.load(grid.grid);
+    }
+    const recomputeTime = performance.now() - startTime;
+    
+    return {
+        steps,
+        stepsPerSecond: steps * 1000 / stepTime,
+        cellsPerSecond: grid.width * grid.height * repetitions * 1000 / recomputeTime,
+    };
+}
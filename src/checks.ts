@@ -0,0 +1,609 @@
+///<reference path="image.ts"/>
+///<reference path="markovjunior.ts"/>
+///<reference path="matcher.ts"/>
+///<reference path="matcher3d.ts"/>
+///<reference path="program.ts"/>
+///<reference path="random.ts"/>
+///<reference path="symmetry.ts"/>
+///<reference path="wfc.ts"/>
+
+/**
+ * The result of one check run by `Checks.run`; `error` is `undefined` if the
+ * check passed.
+ */
+type CheckResult = Readonly<{
+    name: string,
+    error: string | undefined,
+}>
+
+/**
+ * Behaviour checks which compare the results of the incremental algorithms
+ * against simple reference implementations, on small random inputs with
+ * fixed seeds. Like `runBenchmark`, these do not use the DOM, so they can be
+ * run in a browser console or in Node.js; see `--check` in `CLI`.
+ */
+namespace Checks {
+    const CHECKS: IRecord<string, () => void> = {
+        matching: () => checkMatching({}),
+        images: checkImages,
+        periodicMatching: () => checkMatching({periodicX: true, periodicY: true}),
+        periodicXMatching: () => checkMatching({periodicX: true}),
+        matcherJSON: checkMatcherJSON,
+        swapMatcher: checkSwapMatcher,
+        history: checkHistory,
+        matchListeners: checkMatchListeners,
+        wfc: checkWFC,
+        convolution: () => checkConvolution({}),
+        periodicConvolution: () => checkConvolution({periodicX: true, periodicY: true}),
+        potentials: checkPotentials,
+        search: checkSearch,
+        inheritedSymmetry: checkInheritedSymmetry,
+        matching3D: checkMatching3D,
+        symmetry3D: checkSymmetry3D,
+    };
+    
+    /**
+     * A raw DEFLATE stream compressed by zlib with dynamic Huffman codes, in
+     * base64, and the text it decompresses to.
+     */
+    const ZLIB_SAMPLE = 'tcrJFYMgFAXQVl4ayMlgpi6ysAHQzyDoV5BBqk8VuevbG8KW7OAgA5cFiiumNK8RnClgNwQv2oGR9Rn93/JXDA7zAckVxe4GymbCyI0WeLslDpiSjidcrrd793i+3h8IOYyktLGT8/PC6xbinnKpR/sB';
+    const ZLIB_SAMPLE_TEXT = 'The quick brown fox jumps over the lazy dog. '.repeat(3) + 'Pack my box with five dozen liquor jugs! 0123456789 abcdefghijklmnopqrstuvwxyz';
+    
+    /**
+     * Runs every check, and returns their results in order.
+     */
+    export function run(): CheckResult[] {
+        return Object.keys(CHECKS).map(name => {
+            try {
+                CHECKS[name]();
+                return {name, error: undefined};
+            } catch(e) {
+                return {name, error: e instanceof Error ? e.message : String(e)};
+            }
+        });
+    }
+    
+    function assert(condition: boolean, message: string): void {
+        if(!condition) { throw new Error(message); }
+    }
+    
+    function arraysEqual(a: ArrayLike<number>, b: ArrayLike<number>): boolean {
+        if(a.length !== b.length) { return false; }
+        for(let i = 0; i < a.length; ++i) {
+            if(a[i] !== b[i]) { return false; }
+        }
+        return true;
+    }
+    
+    /**
+     * Fills the grid with random symbols.
+     */
+    function randomise(grid: Grid, rand: RNG): void {
+        const n = grid.alphabet.size();
+        grid.load(makeArray(grid.width * grid.height, () => rand.nextInt(n)));
+    }
+    
+    /**
+     * Indicates whether the pattern matches the grid at (x, y), by comparing
+     * every cell; the reference for `MatcherState.hasMatch`.
+     */
+    function matchesAt(grid: Grid, pattern: Pattern, x: number, y: number): boolean {
+        const {width, height, periodicX, periodicY} = grid;
+        for(let dy = 0; dy < pattern.height; ++dy) {
+            for(let dx = 0; dx < pattern.width; ++dx) {
+                const letterIDs = pattern.getLetterIDs(dx + pattern.width * dy);
+                if(letterIDs === undefined) { continue; }
+                const nx = x + dx, ny = y + dy;
+                if((!periodicX && nx >= width) || (!periodicY && ny >= height)) { return false; }
+                if(!letterIDs.includes(grid.grid[grid.index(nx, ny)])) { return false; }
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Checks that the state's matches are exactly those found by `matchesAt`.
+     */
+    function assertMatches(state: MatcherState, context: string): void {
+        const {grid, matcher} = state;
+        matcher.patterns.forEach((pattern, pID) => {
+            let count = 0;
+            for(let y = 0; y < grid.height; ++y) {
+                for(let x = 0; x < grid.width; ++x) {
+                    const expected = matchesAt(grid, pattern, x, y);
+                    if(expected) { ++count; }
+                    assert(state.hasMatch(pID, x, y) === expected, `${context}: pattern ${pID} ${expected ? 'should' : 'should not'} match at ${x},${y}`);
+                }
+            }
+            assert(state.countMatches(pID) === count, `${context}: pattern ${pID} has ${state.countMatches(pID)} matches, expected ${count}`);
+        });
+    }
+    
+    /**
+     * Checks that the matches are updated correctly as random patterns are
+     * written to a grid with the given topology.
+     */
+    function checkMatching(topology: Topology): void {
+        const alphabet = IDMap.of('BWR');
+        const patterns = ['BW', 'W/W', 'R*B', '[BW]R/*[^R]', 'BBB/B*B'].map(s => Pattern.of(alphabet, s));
+        const state = PatternMatcher.of(alphabet, patterns).makeState(11, 9, topology);
+        const {grid} = state;
+        const rand = new PRNG(1);
+        
+        randomise(grid, rand);
+        assertMatches(state, `After loading`);
+        const maxX = topology.periodicX ? grid.width : grid.width - 1;
+        const maxY = topology.periodicY ? grid.height : grid.height - 1;
+        for(let i = 0; i < 200; ++i) {
+            const data = makeArray(4, () => rand.nextInt(alphabet.size()));
+            grid.setPattern(rand.nextInt(maxX), rand.nextInt(maxY), Pattern.ofRaster(2, 2, data, []));
+            assertMatches(state, `After ${i + 1} writes`);
+        }
+    }
+    
+    /**
+     * Checks that grids are unchanged by encoding and decoding them as PNG
+     * and PPM images, and that DEFLATE streams are decompressed correctly,
+     * including one compressed by zlib.
+     */
+    function checkImages(): void {
+        const alphabet = IDMap.of('BWRG');
+        const grid = new Grid(alphabet, 13, 7);
+        const rand = new PRNG(1);
+        randomise(grid, rand);
+        
+        for(const [name, encode, decode] of [['PNG', PNG.encode, PNG.decode], ['PPM', PPM.encode, PPM.decode]] as const) {
+            const copy = new Grid(alphabet, grid.width, grid.height);
+            loadGridFromImage(copy, decode(encode(gridToImage(grid))));
+            assert(arraysEqual(copy.grid, grid.grid), `${name} round trip changed the grid`);
+        }
+        
+        const inputs = [
+            new Uint8Array(0),
+            Uint8Array.from(makeArray(5000, () => rand.nextInt(256))),
+            Uint8Array.from(makeArray(70000, i => Math.floor(i / 300) % 3)),
+        ];
+        for(const data of inputs) {
+            const result = Deflate.decompress(Deflate.compress(data));
+            assert(arraysEqual(result, data), `DEFLATE round trip changed ${data.length} bytes of data`);
+        }
+        
+        const sample = Uint8Array.from(atob(ZLIB_SAMPLE), c => c.charCodeAt(0));
+        const text = String.fromCharCode(...Deflate.decompress(sample));
+        assert(text === ZLIB_SAMPLE_TEXT, `Decompressing zlib's output gave '${text}'`);
+    }
+    
+    /**
+     * Checks that after replacing a state's matcher, adding patterns or
+     * removing them, the state has the same matches as a new state with the
+     * same matcher and grid, including after further writes.
+     */
+    function checkSwapMatcher(): void {
+        const alphabet = IDMap.of('BWR');
+        const [a, b, c, d] = ['BW', 'W/W', 'R*B', '[BW]R/*[^R]'].map(s => Pattern.of(alphabet, s));
+        const topology = {periodicX: true};
+        const state = PatternMatcher.of(alphabet, [a, b]).makeState(11, 9, topology);
+        const {grid} = state;
+        const rand = new PRNG(1);
+        randomise(grid, rand);
+        
+        function assertSameAsNew(context: string): void {
+            const fresh = state.matcher.makeState(grid.width, grid.height, topology);
+            fresh.grid.load(grid.grid);
+            state.matcher.patterns.forEach((pattern, pID) => {
+                assert(state.countMatches(pID) === fresh.countMatches(pID), `${context}: pattern ${pID} has ${state.countMatches(pID)} matches, expected ${fresh.countMatches(pID)}`);
+                for(const {x, y} of fresh.getMatches(pID)) {
+                    assert(state.hasMatch(pID, x, y), `${context}: pattern ${pID} should match at ${x},${y}`);
+                }
+            });
+            for(let i = 0; i < 20; ++i) {
+                const data = makeArray(4, () => rand.nextInt(alphabet.size()));
+                grid.setPattern(rand.nextInt(grid.width), rand.nextInt(grid.height - 1), Pattern.ofRaster(2, 2, data, []));
+            }
+            assertMatches(state, `${context}, after writes`);
+        }
+        
+        const added = state.addPatterns([c, d]);
+        assert([a, b, c, d].every((p, i) => added.patterns.getID(p) === i), `Added patterns have the wrong IDs`);
+        assertSameAsNew(`After adding patterns`);
+        
+        const remaining = state.removePatterns([a, c]);
+        assert(remaining.numPatterns === 2 && remaining.patterns.getID(b) === 0 && remaining.patterns.getID(d) === 1, `Remaining patterns have the wrong IDs`);
+        assertSameAsNew(`After removing patterns`);
+        
+        state.setMatcher(PatternMatcher.of(alphabet, [d, c, a]));
+        assertSameAsNew(`After replacing the matcher`);
+    }
+    
+    /**
+     * Checks that undoing and redoing recorded steps, including steps which
+     * clear or load the grid, restores the grid's contents and matches.
+     */
+    function checkHistory(): void {
+        const alphabet = IDMap.of('BWR');
+        const patterns = ['BW', 'W/W', 'R*B', '[BW]R/*[^R]'].map(s => Pattern.of(alphabet, s));
+        const state = PatternMatcher.of(alphabet, patterns).makeState(11, 9);
+        const {grid} = state;
+        const rand = new PRNG(1);
+        randomise(grid, rand);
+        
+        const history = grid.recordHistory();
+        const snapshots = [grid.grid.slice()];
+        for(let step = 1; step <= 30; ++step) {
+            if(step % 10 === 5) {
+                grid.clear();
+            } else if(step % 10 === 0) {
+                randomise(grid, rand);
+            }
+            for(let i = 0; i < 5; ++i) {
+                const data = makeArray(4, () => rand.nextInt(alphabet.size()));
+                grid.setPattern(rand.nextInt(grid.width - 1), rand.nextInt(grid.height - 1), Pattern.ofRaster(2, 2, data, []));
+            }
+            history.checkpoint();
+            snapshots.push(grid.grid.slice());
+        }
+        
+        function assertAt(position: number, context: string): void {
+            assert(history.getPosition() === position, `${context}: history is at step ${history.getPosition()}, expected ${position}`);
+            assert(arraysEqual(grid.grid, snapshots[position]), `${context}: grid differs from step ${position}`);
+            assertMatches(state, `${context} to step ${position}`);
+        }
+        
+        while(history.undo()) { assertAt(history.getPosition(), `After undoing`); }
+        assertAt(0, `After undoing everything`);
+        while(history.redo()) { assertAt(history.getPosition(), `After redoing`); }
+        assertAt(30, `After redoing everything`);
+        for(let i = 0; i < 10; ++i) {
+            const position = rand.nextInt(31);
+            history.goTo(position);
+            assertAt(position, `After going`);
+        }
+        
+        grid.stopHistory();
+        randomise(grid, rand);
+        assertMatches(state, `After loading without history`);
+        grid.clear();
+        assertMatches(state, `After clearing without history`);
+    }
+    
+    /**
+     * Checks that replaying the changes reported to match listeners gives the
+     * state's matches after each write, including when a listener writes to
+     * the grid while it is notified.
+     */
+    function checkMatchListeners(): void {
+        const alphabet = IDMap.of('BWR');
+        const patterns = ['BW', 'W/W', 'R*B', '[BW]R/*[^R]'].map(s => Pattern.of(alphabet, s));
+        const state = PatternMatcher.of(alphabet, patterns).makeState(11, 9, {periodicY: true});
+        const {grid} = state;
+        const rand = new PRNG(1);
+        randomise(grid, rand);
+        
+        const replayed = new Set<string>();
+        state.forEachMatch((pID, x, y) => replayed.add(`${pID},${x},${y}`));
+        let replayedCount = state.countMatches(2);
+        state.listen((pID, x, y, kind) => {
+            const key = `${pID},${x},${y}`;
+            assert(replayed.has(key) === (kind === 'removed'), `Match ${key} was ${kind} twice in a row`);
+            if(kind === 'added') { replayed.add(key); } else { replayed.delete(key); }
+        });
+        state.listenPattern(2, (pID, x, y, kind) => {
+            assert(pID === 2, `Listener for pattern 2 was notified of pattern ${pID}`);
+            replayedCount += kind === 'added' ? 1 : -1;
+        });
+        
+        // writes to the grid when some matches are added, up to a few times per write
+        let reentrantWrites = 0;
+        state.listenPattern(0, (pID, x, y, kind) => {
+            if(kind === 'added' && reentrantWrites < 3) {
+                ++reentrantWrites;
+                grid.set(x, y, rand.nextInt(2) === 0 ? 'R' : 'W');
+            }
+        });
+        
+        for(let i = 0; i < 200; ++i) {
+            reentrantWrites = 0;
+            const data = makeArray(4, () => rand.nextInt(alphabet.size()));
+            grid.setPattern(rand.nextInt(grid.width - 1), rand.nextInt(grid.height), Pattern.ofRaster(2, 2, data, []));
+            
+            let count = 0;
+            state.forEachMatch((pID, x, y) => {
+                ++count;
+                assert(replayed.has(`${pID},${x},${y}`), `After ${i + 1} writes: match ${pID},${x},${y} was not reported`);
+            });
+            assert(replayed.size === count, `After ${i + 1} writes: ${replayed.size - count} removed matches were not reported`);
+            assert(replayedCount === state.countMatches(2), `After ${i + 1} writes: pattern 2 listener counted ${replayedCount} matches, expected ${state.countMatches(2)}`);
+        }
+        assertMatches(state, `After writes by listeners`);
+    }
+    
+    /**
+     * Checks that a matcher exported as JSON and imported again finds the
+     * same matches, and exports the same data.
+     */
+    function checkMatcherJSON(): void {
+        const alphabet = IDMap.of('BWR');
+        const patterns = ['BW', 'W/W', 'R*B', '[BW]R/*[^R]'].map(s => Pattern.of(alphabet, s));
+        const matcher = PatternMatcher.of(alphabet, patterns);
+        const json = JSON.stringify(matcher.toJSON());
+        const imported = PatternMatcher.fromJSON(alphabet, patterns, JSON.parse(json));
+        assert(JSON.stringify(imported.toJSON()) === json, `Imported matcher exports different data`);
+        
+        const state = imported.makeState(11, 9);
+        randomise(state.grid, new PRNG(1));
+        assertMatches(state, `Imported matcher`);
+    }
+    
+    /**
+     * Checks that every n * n window of grids generated by WaveFunctionCollapse
+     * is one of the model's patterns, with bounded and periodic outputs, and
+     * that every window of the sample is weighted once per transformation.
+     */
+    function checkWFC(): void {
+        const alphabet = IDMap.of('BWR');
+        const sample = new Grid(alphabet, 8, 8, {periodicX: true, periodicY: true});
+        sample.loadText([
+            'BBBBBBBB',
+            'BWWWBBBB',
+            'BWRWBBBB',
+            'BWWWBBBB',
+            'BBBBBBBB',
+            'BBBBBWWB',
+            'BBBBBWWB',
+            'BBBBBBBB',
+        ].join('\n'));
+        const n = 3;
+        const model = OverlappingModel.fromSample(sample, n);
+        const totalWeight = model.weights.reduce((a, b) => a + b, 0);
+        assert(totalWeight === 64 * 8, `Pattern weights sum to ${totalWeight}, expected ${64 * 8}`);
+        
+        for(const topology of [{}, {periodicX: true, periodicY: true}]) {
+            const state = model.makeState(20, 16, new PRNG(1), topology);
+            state.run();
+            const {grid} = state;
+            const maxX = grid.periodicX ? grid.width : grid.width - n + 1;
+            const maxY = grid.periodicY ? grid.height : grid.height - n + 1;
+            for(let y = 0; y < maxY; ++y) {
+                for(let x = 0; x < maxX; ++x) {
+                    const window = Pattern.ofRaster(n, n, makeArray(n * n, i => grid.grid[grid.index(x + i % n, y + Math.floor(i / n))]), []);
+                    assert(model.patterns.has(window), `Window at ${x},${y} of ${grid.periodicX ? 'periodic' : 'bounded'} output is not in the sample`);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Checks that a `convolution` node runs Conway's Game of Life correctly
+     * on a grid with the given topology, against a direct implementation.
+     */
+    function checkConvolution(topology: Topology): void {
+        const alphabet = IDMap.of('DA');
+        const program = new Program(alphabet, {kind: 'convolution', rules: [
+            {input: 'D', output: 'A', values: 'A', min: 3, max: 3},
+            {input: 'A', output: 'D', values: 'A', max: 1},
+            {input: 'A', output: 'D', values: 'A', min: 4},
+        ]});
+        const interpreter = program.makeInterpreter(17, 13, new PRNG(1), topology);
+        const {grid} = interpreter.state;
+        const {width, height, periodicX, periodicY} = grid;
+        randomise(grid, new PRNG(1));
+        
+        for(let generation = 1; generation <= 40; ++generation) {
+            const expected = makeArray(width * height, i => {
+                const x = i % width, y = Math.floor(i / width);
+                let count = 0;
+                for(const [dx, dy] of NEIGHBOURHOOD_OFFSETS.moore) {
+                    const nx = x + dx, ny = y + dy;
+                    if((!periodicX && (nx < 0 || nx >= width)) || (!periodicY && (ny < 0 || ny >= height))) { continue; }
+                    count += grid.grid[grid.index(nx, ny)];
+                }
+                return count === 3 || (count === 2 && grid.grid[i] === 1) ? 1 : 0;
+            });
+            interpreter.step();
+            assert(arraysEqual(grid.grid, expected), `Generation ${generation} differs from the Game of Life`);
+        }
+    }
+    
+    /**
+     * Checks that the backward potentials of a walker which must reach a goal
+     * are the walker's distances from the goal, and that a `one` node with
+     * this observation and zero temperature walks to the goal by a shortest
+     * path.
+     */
+    function checkPotentials(): void {
+        const alphabet = IDMap.of('BRWG');
+        const program = new Program(alphabet, {
+            kind: 'one',
+            rules: [{patternIn: 'RB', patternOut: 'WR'}],
+            observations: [
+                {value: 'G', from: 'B', to: 'R'},
+                {value: 'B', to: 'BW'},
+                {value: 'R', to: 'W'},
+            ],
+            temperature: 0,
+        });
+        const goalX = 8, goalY = 3;
+        const distance = (x: number, y: number) => Math.abs(x - goalX) + Math.abs(y - goalY);
+        const placeWalker = (grid: Grid) => {
+            grid.set(1, 1, 'R');
+            grid.set(goalX, goalY, 'G');
+        };
+        
+        const grid = new Grid(alphabet, 12, 6);
+        placeWalker(grid);
+        const root = program.root as ProgramNode & {kind: 'one'};
+        const potentials = observeFuture(grid, root.observations);
+        computeBackwardPotentials(grid, potentials, root.rules.flatMap(rule => rule.rewrites), program.matcher.patterns, program.patternsOut);
+        const R = alphabet.getID('R');
+        for(let y = 0; y < grid.height; ++y) {
+            for(let x = 0; x < grid.width; ++x) {
+                const t = potentials[R][grid.index(x, y)];
+                assert(t === distance(x, y), `Potential of the walker at ${x},${y} is ${t}, expected ${distance(x, y)}`);
+            }
+        }
+        
+        const interpreter = program.makeInterpreter(12, 6, new PRNG(1));
+        placeWalker(interpreter.state.grid);
+        const steps = interpreter.run(1000);
+        assert(steps === distance(1, 1), `Walker took ${steps} steps, expected ${distance(1, 1)}`);
+        assert(interpreter.state.grid.grid[grid.index(goalX, goalY)] === R, `Walker did not reach the goal`);
+    }
+    
+    /**
+     * Checks that the goals of a `search` node hold after it finishes, that
+     * an unreachable goal throws an error without changing the grid, and
+     * that the node searches again if the grid is changed while it applies a
+     * solution.
+     */
+    function checkSearch(): void {
+        const alphabet = IDMap.of('BWRG');
+        const goals = [{pattern: 'R/G', min: 1}, {pattern: 'R', min: 1, max: 1}];
+        const program = new Program(alphabet, {kind: 'search', rules: [{patternIn: 'RB', patternOut: 'BR'}], goals});
+        for(const reachable of [true, false]) {
+            const interpreter = program.makeInterpreter(7, 5, new PRNG(1));
+            const {state} = interpreter, {grid} = state;
+            grid.loadText([
+                'RBBBBBB',
+                'BWWWWWB',
+                reachable ? 'BBBBBWB' : 'BWBWBWB',
+                'BWGBBWB',
+                'BWWWBBB',
+            ].join('\n'));
+            const before = grid.grid.slice();
+            
+            let error: string | undefined = undefined;
+            try {
+                interpreter.run(1000);
+            } catch(e) {
+                error = e instanceof Error ? e.message : String(e);
+            }
+            if(reachable) {
+                assert(error === undefined, `Search failed: ${error}`);
+                for(const {pattern, min = 0, max = Infinity} of goals) {
+                    const p = Pattern.of(alphabet, pattern);
+                    let count = 0;
+                    for(let y = 0; y < grid.height; ++y) {
+                        for(let x = 0; x < grid.width; ++x) {
+                            if(matchesAt(grid, p, x, y)) { ++count; }
+                        }
+                    }
+                    assert(count >= min && count <= max, `Goal '${pattern}' has ${count} matches after searching`);
+                }
+            } else {
+                assert(error !== undefined, `Search for an unreachable goal did not fail`);
+                assert(arraysEqual(grid.grid, before), `Failed search changed the grid`);
+                assertMatches(state, `After a failed search`);
+            }
+        }
+        
+        // the solution 'WWWWBB' is no longer needed once another cell is changed
+        const growing = new Program(alphabet, {kind: 'search', rules: [{patternIn: 'WB', patternOut: 'WW', symmetry: 'none'}], goals: [{pattern: 'W', min: 4, max: 4}]});
+        const interpreter = growing.makeInterpreter(6, 1, new PRNG(1));
+        const {grid} = interpreter.state;
+        grid.loadText('WBBBBB');
+        interpreter.step();
+        grid.set(5, 0, 'W');
+        interpreter.run(100);
+        assert(grid.toText() === 'WWWBBW', `Search continued an outdated solution, giving '${grid.toText()}'`);
+    }
+    
+    /**
+     * Checks that the MarkovJunior loader gives rules the symmetry of the
+     * nearest enclosing element which has one.
+     */
+    function checkInheritedSymmetry(): void {
+        const program = MarkovJunior.load(`
+            <sequence values="BW" symmetry="(x)">
+                <one in="B" out="W"/>
+                <markov symmetry="(y)">
+                    <all in="B" out="W"/>
+                    <one in="W" out="B">
+                        <rule in="BW" out="WB" symmetry="()"/>
+                    </one>
+                </markov>
+                <prl in="W" out="B" symmetry="(xy)"/>
+            </sequence>
+        `);
+        const symmetries: (Symmetry.Group | undefined)[] = [];
+        function collect(node: ProgramNode): void {
+            if(node.kind === 'markov' || node.kind === 'sequence') {
+                node.children.forEach(collect);
+            } else if(node.kind === 'one' || node.kind === 'all' || node.kind === 'prl') {
+                for(const rule of node.rules) { symmetries.push(rule.spec.symmetry); }
+            }
+        }
+        collect(program.root);
+        const expected = ['mirrorX', 'mirrorY', 'mirrorY', 'none', 'all'];
+        assert(symmetries.join() === expected.join(), `Rules have symmetries ${symmetries.join()}, expected ${expected.join()}`);
+    }
+    
+    /**
+     * Indicates whether the 3D pattern matches the grid at (x, y, z), by
+     * comparing every cell; the reference for `MatcherState3D.hasMatch`.
+     */
+    function matchesAt3D(grid: Grid3D, pattern: Pattern3D, x: number, y: number, z: number): boolean {
+        if(x + pattern.width > grid.width || y + pattern.height > grid.height || z + pattern.depth > grid.depth) { return false; }
+        for(let dz = 0; dz < pattern.depth; ++dz) {
+            for(let dy = 0; dy < pattern.height; ++dy) {
+                for(let dx = 0; dx < pattern.width; ++dx) {
+                    const c = pattern.rasterData[pattern.index(dx, dy, dz)];
+                    const d = grid.grid[grid.index(x + dx, y + dy, z + dz)];
+                    if(c >= 0 ? c !== d : c < -1 && !pattern.classes[-2 - c].includes(d)) { return false; }
+                }
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Checks that the 3D matches are updated correctly as random patterns are
+     * written to a grid.
+     */
+    function checkMatching3D(): void {
+        const alphabet = IDMap.of('BWR');
+        const patterns = ['BW', 'W/W B/B', 'R*B', 'B B B', '[BW]R/*[^R] **/*B'].map(s => Pattern3D.of(alphabet, s));
+        const matcher = new PatternMatcher3D(alphabet, IDMap.ofWithKey(patterns, Pattern3D.key));
+        const state = matcher.makeState(7, 6, 5);
+        const {grid} = state;
+        const rand = new PRNG(1);
+        
+        function assertMatches3D(context: string): void {
+            patterns.forEach((pattern, pID) => {
+                let count = 0;
+                for(let z = 0; z < grid.depth; ++z) {
+                    for(let y = 0; y < grid.height; ++y) {
+                        for(let x = 0; x < grid.width; ++x) {
+                            const expected = matchesAt3D(grid, pattern, x, y, z);
+                            if(expected) { ++count; }
+                            assert(state.hasMatch(pID, x, y, z) === expected, `${context}: pattern ${pID} ${expected ? 'should' : 'should not'} match at ${x},${y},${z}`);
+                        }
+                    }
+                }
+                assert(state.countMatches(pID) === count, `${context}: pattern ${pID} has ${state.countMatches(pID)} matches, expected ${count}`);
+            });
+        }
+        
+        grid.load(makeArray(grid.width * grid.height * grid.depth, () => rand.nextInt(alphabet.size())));
+        assertMatches3D(`After loading`);
+        const symbol = () => alphabet.getByID(rand.nextInt(alphabet.size()));
+        for(let i = 0; i < 150; ++i) {
+            const pattern = Pattern3D.of(alphabet, `${symbol()}${symbol()}/${symbol()}${symbol()} ${symbol()}${symbol()}/${symbol()}${symbol()}`);
+            grid.setPattern(rand.nextInt(grid.width - 1), rand.nextInt(grid.height - 1), rand.nextInt(grid.depth - 1), pattern);
+            assertMatches3D(`After ${i + 1} writes`);
+        }
+    }
+    
+    /**
+     * Checks that each 3D symmetry group generates as many distinct patterns
+     * as it has elements, from a pattern with no symmetries of its own.
+     */
+    function checkSymmetry3D(): void {
+        const alphabet = IDMap.of('ABCDEFGH');
+        const pattern = Pattern3D.of(alphabet, 'AB/CD EF/GH');
+        const expected: IRecord<Symmetry.Group3D, number> = {none: 1, mirrorX: 2, mirrorZ: 2, allXY: 8, rotate: 24, all: 48};
+        for(const group of Object.keys(expected) as Symmetry.Group3D[]) {
+            const size = Symmetry.generate3D(pattern, pattern, group).length;
+            assert(size === expected[group], `Group '${group}' generated ${size} patterns, expected ${expected[group]}`);
+        }
+    }
+}
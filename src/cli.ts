@@ -0,0 +1,265 @@
+///<reference path="benchmark.ts"/>
+///<reference path="checks.ts"/>
+///<reference path="image.ts"/>
+///<reference path="markovjunior.ts"/>
+///<reference path="platform.ts"/>
+
+/**
+ * A command-line entry point for generating grids in batches, when this
+ * script is run directly by Node.js:
+ * 
+ *     node pattern-match-2d.js model.xml --size 64 --seed 1 --count 10 --format png --out grid.png
+ * 
+ * With `--benchmark` or `--check`, no model is needed; see `runBenchmark`
+ * and `Checks.run`.
+ */
+namespace CLI {
+    const USAGE = `Usage: node pattern-match-2d.js <model.xml> [options]
+       node pattern-match-2d.js --benchmark [--seed <n>] [--steps <n>]
+       node pattern-match-2d.js --check
+
+Runs a MarkovJunior model on a grid, and writes the resulting grid; or
+measures the speed of the pattern matcher using the demo's rules; or checks
+the pattern matcher and other algorithms against reference implementations.
+
+Options:
+  --size <w>[x<h>]      the size of the grid (default: 64)
+  --seed <n>            the seed for the first run (default: 0)
+  --count <n>           the number of runs, with consecutive seeds (default: 1)
+  --steps <n>           the maximum number of steps per run (default: no limit)
+  --format <format>     'text', 'json', 'png' or 'ppm' (default: 'text')
+  --out <path>          the output file; if there are several runs, the seed is
+                        added to the file name (default: standard output, which
+                        is only allowed for 'text' and 'json')
+  --scale <n>           the size in pixels of each cell, for images (default: 1)
+  --stats               also write the number of times each rule was applied
+  --benchmark           run the benchmark instead of a model; --steps limits
+                        the demo program (default: 100000)
+  --check               run the checks instead of a model
+  --help                show this message
+`;
+    
+    type Format = 'text' | 'json' | 'png' | 'ppm'
+    const FORMATS: readonly Format[] = ['text', 'json', 'png', 'ppm'];
+    
+    type Options = Readonly<{
+        modelPath: string | undefined,
+        width: number,
+        height: number,
+        seed: number,
+        count: number,
+        maxSteps: number,
+        format: Format,
+        out: string | undefined,
+        scale: number,
+        stats: boolean,
+        mode: 'run' | 'benchmark' | 'check',
+    }>
+    
+    /**
+     * Runs the command-line interface with the given arguments, excluding
+     * the `node` executable and script path. Returns the exit code.
+     */
+    export function main(args: readonly string[]): number {
+        const proc = process!;
+        let options: Options | undefined;
+        try {
+            options = parseArgs(args);
+        } catch(e) {
+            proc.stderr.write(`${errorMessage(e)}\n\n${USAGE}`);
+            return 2;
+        }
+        if(options === undefined) {
+            proc.stdout.write(USAGE);
+            return 0;
+        }
+        
+        try {
+            switch(options.mode) {
+                case 'run': run(options); return 0;
+                case 'benchmark': benchmark(options); return 0;
+                case 'check': return check();
+            }
+        } catch(e) {
+            proc.stderr.write(`Error: ${errorMessage(e)}\n`);
+            return 1;
+        }
+    }
+    
+    /**
+     * Parses the command-line arguments, or returns `undefined` if the usage
+     * message should be shown. An error is thrown if the arguments are invalid.
+     */
+    function parseArgs(args: readonly string[]): Options | undefined {
+        let modelPath: string | undefined = undefined;
+        let width = 64, height = 64, seed = 0, count = 1, maxSteps = Infinity, scale = 1;
+        let format: Format = 'text', out: string | undefined = undefined, stats = false;
+        let mode: Options['mode'] = 'run';
+        
+        for(let i = 0; i < args.length; ++i) {
+            const arg = args[i];
+            function value(): string {
+                if(i + 1 >= args.length) { throw new Error(`Missing value for ${arg}`); }
+                return args[++i];
+            }
+            switch(arg) {
+                case '--help': return undefined;
+                case '--size': {
+                    const s = value();
+                    const m = /^(\d+)(?:x(\d+))?$/.exec(s);
+                    if(m === null) { throw new Error(`Invalid size '${s}'`); }
+                    width = parsePositiveInteger(m[1]);
+                    height = parsePositiveInteger(m[2] ?? m[1]);
+                    break;
+                }
+                case '--seed': seed = parseInteger(value()); break;
+                case '--count': count = parsePositiveInteger(value()); break;
+                case '--steps': maxSteps = parseInteger(value()); break;
+                case '--format': {
+                    const f = value();
+                    if(!(FORMATS as readonly string[]).includes(f)) { throw new Error(`Unsupported format '${f}'`); }
+                    format = f as Format;
+                    break;
+                }
+                case '--out': out = value(); break;
+                case '--scale': scale = parsePositiveInteger(value()); break;
+                case '--stats': stats = true; break;
+                case '--benchmark': mode = 'benchmark'; break;
+                case '--check': mode = 'check'; break;
+                default: {
+                    if(arg.startsWith('--')) { throw new Error(`Unknown option ${arg}`); }
+                    if(modelPath !== undefined) { throw new Error(`Unexpected argument '${arg}'`); }
+                    modelPath = arg;
+                }
+            }
+        }
+        
+        if(mode !== 'run') {
+            if(modelPath !== undefined) { throw new Error(`Unexpected model file with --${mode}`); }
+        } else if(modelPath === undefined) {
+            throw new Error(`No model file given`);
+        } else if(out === undefined && (format === 'png' || format === 'ppm')) {
+            throw new Error(`An output file is required for format '${format}'`);
+        }
+        return {modelPath, width, height, seed, count, maxSteps, format, out, scale, stats, mode};
+    }
+    
+    function benchmark(options: Options): void {
+        const {maxSteps} = options;
+        const result = runBenchmark(undefined, options.seed, Number.isFinite(maxSteps) ? maxSteps : undefined);
+        process!.stdout.write(
+            `Demo program: ${result.steps} steps, ${Math.round(result.stepsPerSecond)} steps/second\n`
+            + `Recomputing matches: ${Math.round(result.cellsPerSecond)} cells/second\n`
+        );
+    }
+    
+    /**
+     * Runs the checks, writing each failure to standard error. Returns the
+     * exit code, which is 1 if any check failed.
+     */
+    function check(): number {
+        const proc = process!;
+        const results = Checks.run();
+        const failures = results.filter(r => r.error !== undefined);
+        for(const {name, error} of failures) {
+            proc.stderr.write(`FAIL ${name}: ${error}\n`);
+        }
+        proc.stdout.write(`${results.length - failures.length} of ${results.length} checks passed\n`);
+        return failures.length > 0 ? 1 : 0;
+    }
+    
+    function run(options: Options): void {
+        const proc = process!;
+        const fs = require!('fs') as NodeFS;
+        const {width, height, count, format, out} = options;
+        
+        const program = MarkovJunior.load(fs.readFileSync(options.modelPath!, 'utf8'));
+        const interpreter = program.makeInterpreter(width, height, new PRNG(options.seed));
+        const {grid} = interpreter.state;
+        
+        for(let i = 0; i < count; ++i) {
+            const seed = options.seed + i;
+            if(i > 0) { interpreter.reset(new PRNG(seed)); }
+            const steps = interpreter.run(options.maxSteps);
+            
+            const stats = program.rules.map(rule => ({
+                rule: `${rule.spec.patternIn} -> ${rule.spec.patternOut}`,
+                applications: interpreter.getRuleApplications()[rule.id],
+            }));
+            
+            let output: string | Uint8Array;
+            switch(format) {
+                case 'text': {
+                    output = grid.toText() + '\n';
+                    break;
+                }
+                case 'json': {
+                    output = JSON.stringify({
+                        seed,
+                        steps,
+                        done: interpreter.isDone(),
+                        width,
+                        height,
+                        alphabet: program.alphabet.map(s => s),
+                        rows: grid.toText().split('\n'),
+                        stats: options.stats ? stats : undefined,
+                    }) + '\n';
+                    break;
+                }
+                case 'png': {
+                    output = PNG.encode(gridToImage(grid, PICO8_PALETTE, options.scale));
+                    break;
+                }
+                case 'ppm': {
+                    output = PPM.encode(gridToImage(grid, PICO8_PALETTE, options.scale));
+                    break;
+                }
+            }
+            
+            if(out !== undefined) {
+                fs.writeFileSync(count > 1 ? withSeed(out, seed) : out, output);
+            } else {
+                // separate multiple text grids with blank lines; JSON is one object per line
+                proc.stdout.write((i > 0 && format === 'text' ? '\n' : '') + output);
+            }
+            
+            if(options.stats && format !== 'json') {
+                proc.stderr.write(`Seed ${seed}: ${steps} steps${interpreter.isDone() ? '' : ' (not done)'}\n`);
+                for(const s of stats) {
+                    proc.stderr.write(`  ${s.rule}: ${s.applications}\n`);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Inserts the seed into a file name, before its extension if it has one.
+     */
+    function withSeed(path: string, seed: number): string {
+        const m = /^(.*?)(\.[^./\\]*)?$/.exec(path)!;
+        return `${m[1]}-${seed}${m[2] ?? ''}`;
+    }
+    
+    function parseInteger(s: string): number {
+        const n = Number(s);
+        if(s === '' || !Number.isInteger(n) || n < 0) {
+            throw new Error(`Expected a non-negative integer, was '${s}'`);
+        }
+        return n;
+    }
+    
+    function parsePositiveInteger(s: string): number {
+        const n = parseInteger(s);
+        if(n === 0) { throw new Error(`Expected a positive integer, was '${s}'`); }
+        return n;
+    }
+    
+    function errorMessage(e: unknown): string {
+        return e instanceof Error ? e.message : String(e);
+    }
+}
+
+if(isNodeMainScript()) {
+    // deferred, since the rest of this script may not have been evaluated yet
+    queueMicrotask(() => process!.exitCode = CLI.main(process!.argv.slice(2)));
+}
@@ -0,0 +1,224 @@
+///<reference path="grid.ts"/>
+///<reference path="iset.ts"/>
+
+/**
+ * The neighbours of a cell counted by convolution rules:
+ * - `'moore'`: the 8 cells adjacent orthogonally or diagonally.
+ * - `'vonNeumann'`: the 4 cells adjacent orthogonally.
+ */
+type Neighbourhood = 'moore' | 'vonNeumann'
+
+/**
+ * Specifies a convolution rule; a cell whose symbol is in `input` may become
+ * `output` when the number of its neighbours whose symbols are in `values` is
+ * at least `min` and at most `max`. By default, `min` is 0 and `max` is the
+ * size of the neighbourhood. The strings `input` and `values` may contain
+ * union symbols; see `ProgramOptions`.
+ * 
+ * For example, `{input: 'B', output: 'W', values: 'W', min: 5}` makes a cell
+ * `W` if at least 5 of its 8 neighbours are `W`.
+ */
+type ConvolutionRuleSpec = Readonly<{
+    input: string,
+    output: string,
+    values: string,
+    min?: number,
+    max?: number,
+}>
+
+/**
+ * A compiled convolution rule; see `ConvolutionRuleSpec`.
+ */
+type ConvolutionRule = Readonly<{
+    spec: ConvolutionRuleSpec,
+    input: ISet,
+    output: number,
+    values: ISet,
+    min: number,
+    max: number,
+}>
+
+/**
+ * The offsets of the neighbours of a cell, for each neighbourhood.
+ */
+const NEIGHBOURHOOD_OFFSETS: IRecord<Neighbourhood, readonly (readonly [number, number])[]> = {
+    moore: [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]],
+    vonNeumann: [[0, -1], [-1, 0], [1, 0], [0, 1]],
+};
+
+/**
+ * Returns the IDs of the symbols in a string, which may contain union
+ * symbols. An error is thrown if a symbol is not in the alphabet.
+ */
+function symbolsToIDs(alphabet: IDMap<string>, symbols: string, unions: IRecord<string, string> = {}): number[] {
+    return [...symbols].flatMap(c => {
+        const union = unions[c];
+        if(union !== undefined && !alphabet.has(c)) {
+            return symbolsToIDs(alphabet, union);
+        }
+        const id = alphabet.getIDOrDefault(c);
+        if(id < 0) { throw new Error(`Unknown symbol '${c}' in '${symbols}'`); }
+        return [id];
+    });
+}
+
+/**
+ * Compiles a convolution rule. An error is thrown if it uses an unknown
+ * symbol, or its sum condition cannot hold.
+ */
+function compileConvolutionRule(alphabet: IDMap<string>, spec: ConvolutionRuleSpec, neighbourhood: Neighbourhood, unions: IRecord<string, string> = {}): ConvolutionRule {
+    const n = NEIGHBOURHOOD_OFFSETS[neighbourhood].length;
+    const {output, min = 0, max = n} = spec;
+    function symbolsToSet(symbols: string): ISet {
+        return ISet.of(alphabet.size(), symbolsToIDs(alphabet, symbols, unions));
+    }
+    
+    if(output.length !== 1 || !alphabet.has(output)) {
+        throw new Error(`Convolution rule output must be a single symbol, was '${output}'`);
+    } else if(min > max || min > n || max < 0) {
+        throw new Error(`Convolution rule sum ${min} to ${max} is impossible for the ${neighbourhood} neighbourhood`);
+    }
+    return {
+        spec,
+        input: symbolsToSet(spec.input),
+        output: alphabet.getID(output),
+        values: symbolsToSet(spec.values),
+        min,
+        max,
+    };
+}
+
+/**
+ * Maintains, for a grid and some convolution rules, the set of cells which
+ * would be changed by applying the rules. The neighbour counts are updated
+ * incrementally in the areas of the grid which change, plus a margin of one
+ * cell, so each change takes time proportional to its area.
+ */
+class ConvolutionState {
+    /**
+     * The distinct sets of symbols which are counted by the rules.
+     */
+    private readonly valueSets: IDMap<ISet>;
+    
+    /**
+     * Maps each rule index to the ID of its `values` set in `valueSets`.
+     */
+    private readonly valueSetIDs: readonly number[];
+    
+    /**
+     * Maps each `valueSets` ID and grid index to the number of the cell's
+     * neighbours whose symbols are in that set; indexed as `counts[k][i]`.
+     */
+    private readonly counts: Uint8Array[];
+    
+    /**
+     * The grid indices of the cells which would be changed by the rules.
+     * 
+     * Invariant: `pending.has(i)` if and only if `getOutput(i) >= 0`
+     */
+    private readonly pending = new Set<number>();
+    
+    private readonly offsets: readonly (readonly [number, number])[];
+    
+    public constructor(
+        public readonly grid: Grid,
+        public readonly rules: readonly ConvolutionRule[],
+        neighbourhood: Neighbourhood,
+    ) {
+        this.offsets = NEIGHBOURHOOD_OFFSETS[neighbourhood];
+        this.valueSets = IDMap.withKey(set => set.join(','));
+        this.valueSetIDs = rules.map(rule => this.valueSets.getOrCreateID(rule.values));
+        this.counts = this.valueSets.map(() => new Uint8Array(grid.width * grid.height));
+        
+        grid.listen(this.update.bind(this));
+        this.update(0, 0, grid.width, grid.height);
+    }
+    
+    /**
+     * Returns the number of cells which would be changed by the rules.
+     */
+    public countPending(): number {
+        return this.pending.size;
+    }
+    
+    /**
+     * Applies the rules to every cell simultaneously, and returns `true` if
+     * any cell was changed. Each cell is rewritten by the first rule whose
+     * conditions hold for it.
+     */
+    public step(): boolean {
+        const {pending} = this;
+        if(pending.size === 0) { return false; }
+        
+        const indices: number[] = [], values: number[] = [];
+        for(const index of pending) {
+            indices.push(index);
+            values.push(this.getOutput(index));
+        }
+        this.grid.setCells(indices, values);
+        return true;
+    }
+    
+    /**
+     * Returns the symbol ID which the cell at the given index would become,
+     * or -1 if the rules would not change it.
+     */
+    private getOutput(index: number): number {
+        const {grid, rules, valueSetIDs, counts} = this;
+        const c = grid.grid[index];
+        for(let r = 0; r < rules.length; ++r) {
+            const rule = rules[r];
+            if(!ISet.has(rule.input, c)) { continue; }
+            const count = counts[valueSetIDs[r]][index];
+            if(count >= rule.min && count <= rule.max) {
+                return rule.output !== c ? rule.output : -1;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Updates the counts and pending cells to account for changes in the
+     * area from minX/Y (inclusive) to maxX/Y (exclusive).
+     */
+    private update(minX: number, minY: number, maxX: number, maxY: number): void {
+        const {grid, offsets, valueSets, counts, pending} = this;
+        const {width, height, periodicX, periodicY} = grid;
+        
+        // a change to a cell changes the counts of its neighbours
+        [minX, maxX] = expandRange(minX, maxX, width, periodicX);
+        [minY, maxY] = expandRange(minY, maxY, height, periodicY);
+        
+        for(let y = minY; y < maxY; ++y) {
+            for(let x = minX; x < maxX; ++x) {
+                const index = grid.index(x, y);
+                valueSets.forEach((set, k) => {
+                    let count = 0;
+                    for(const [dx, dy] of offsets) {
+                        const nx = x + dx, ny = y + dy;
+                        if((!periodicX && (nx < 0 || nx >= width)) || (!periodicY && (ny < 0 || ny >= height))) { continue; }
+                        if(ISet.has(set, grid.grid[grid.index(nx, ny)])) { ++count; }
+                    }
+                    counts[k][index] = count;
+                });
+                
+                if(this.getOutput(index) >= 0) {
+                    pending.add(index);
+                } else {
+                    pending.delete(index);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Expands the range from `min` (inclusive) to `max` (exclusive) by one in
+ * each direction. If the range wraps around, it is limited to `size` cells;
+ * otherwise, it is limited to the bounds from 0 to `size`.
+ */
+function expandRange(min: number, max: number, size: number, periodic: boolean): [number, number] {
+    return !periodic ? [Math.max(min - 1, 0), Math.min(max + 1, size)]
+        : max - min + 2 >= size ? [0, size]
+        : [min - 1, max + 1];
+}
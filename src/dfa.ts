@@ -151,63 +151,161 @@ class NFA {
             dfaNodes.push({
                 transitions: transitionStates.map(getNodeID),
                 acceptSetID: acceptSetMap.getOrCreateID(acceptIDs),
-                acceptIDs,
             });
         }
         
-        return new DFA(alphabetSize, this.acceptCount, acceptSetMap, dfaNodes);
+        return DFA.fromNodes(alphabetSize, this.acceptCount, acceptSetMap, dfaNodes);
     }
 }
 
 type DFANode = Readonly<{
     transitions: readonly number[],
     acceptSetID: number,
-    acceptIDs: readonly number[],
+}>
+
+/**
+ * A compiled DFA in a form which can be serialized as JSON; see `DFA.toJSON`.
+ */
+type DFAData = Readonly<{
+    alphabetSize: number,
+    acceptCount: number,
+    /**
+     * The DFA's accept sets, in order of their IDs.
+     */
+    acceptSets: readonly (readonly number[])[],
+    /**
+     * The transition table; the transition from state `s` on the letter `c`
+     * is at index `s * alphabetSize + c`.
+     */
+    transitions: readonly number[],
+    /**
+     * Maps each state to the ID of its accept set.
+     */
+    acceptSetIDs: readonly number[],
 }>
 
 class DFA {
-    public constructor(
+    /**
+     * Creates a DFA from an array of nodes; node 0 is the starting state.
+     */
+    public static fromNodes(alphabetSize: number, acceptCount: number, acceptSetMap: IDMap<readonly number[]>, nodes: readonly DFANode[]): DFA {
+        const n = nodes.length;
+        const transitionTable = makeUintArray(n * alphabetSize, n);
+        const acceptSetIDs = makeUintArray(n, acceptSetMap.size());
+        nodes.forEach((node, id) => {
+            transitionTable.set(node.transitions, id * alphabetSize);
+            acceptSetIDs[id] = node.acceptSetID;
+        });
+        return new DFA(alphabetSize, acceptCount, acceptSetMap, transitionTable, acceptSetIDs);
+    }
+    
+    /**
+     * Reconstructs a DFA from data returned by `DFA.toJSON`, without
+     * recompiling it. An error is thrown if the data is invalid.
+     */
+    public static fromJSON(data: DFAData): DFA {
+        const {alphabetSize, acceptCount, acceptSets, transitions, acceptSetIDs} = data;
+        const n = acceptSetIDs.length;
+        
+        function checkRange(xs: readonly number[], size: number, name: string): void {
+            if(!xs.every(x => Number.isInteger(x) && x >= 0 && x < size)) {
+                throw new Error(`Invalid DFA data: ${name} out of range`);
+            }
+        }
+        if(!Number.isInteger(alphabetSize) || !Number.isInteger(acceptCount) || n === 0 || transitions.length !== n * alphabetSize) {
+            throw new Error(`Invalid DFA data: wrong table size`);
+        }
+        checkRange(transitions, n, 'transitions');
+        checkRange(acceptSetIDs, acceptSets.length, 'accept set IDs');
+        acceptSets.forEach(acceptSet => checkRange(acceptSet, acceptCount, 'accept IDs'));
+        
+        const acceptSetMap = IDMap.ofWithKey(acceptSets, ISet.arrayToBigInt);
+        if(acceptSetMap.size() !== acceptSets.length) {
+            throw new Error(`Invalid DFA data: duplicate accept sets`);
+        }
+        const transitionTable = makeUintArray(transitions.length, n);
+        transitionTable.set(transitions);
+        const acceptSetIDTable = makeUintArray(n, acceptSets.length);
+        acceptSetIDTable.set(acceptSetIDs);
+        return new DFA(alphabetSize, acceptCount, acceptSetMap, transitionTable, acceptSetIDTable);
+    }
+    
+    private constructor(
         private readonly alphabetSize: number,
         public readonly acceptCount: number,
         public readonly acceptSetMap: IDMap<readonly number[]>,
-        private readonly nodes: readonly DFANode[],
+        /**
+         * The transition table; the transition from state `s` on the letter
+         * `c` is at index `s * alphabetSize + c`. This is a flat typed array
+         * rather than an array of objects, since `go` is called for every
+         * cell scanned by a `MatcherState`.
+         */
+        private readonly transitionTable: UintArray,
+        /**
+         * Maps each state to the ID of its accept set in `acceptSetMap`.
+         */
+        private readonly acceptSetIDs: UintArray,
     ) {
-        //console.log(`DFA with ${nodes.length} nodes on alphabet of size ${alphabetSize}, ${acceptCount} accepts and ${acceptSetMap.size()} accept sets`);
+        //console.log(`DFA with ${acceptSetIDs.length} nodes on alphabet of size ${alphabetSize}, ${acceptCount} accepts and ${acceptSetMap.size()} accept sets`);
     }
     
     /**
      * Returns the number of distinct states of this DFA.
      */
     public size(): number {
-        return this.nodes.length;
+        return this.acceptSetIDs.length;
     }
     
     public go(state: number, letterID: number): number {
-        const {nodes, alphabetSize} = this;
-        if(state >= 0 && state < nodes.length && letterID >= 0 && letterID < alphabetSize) {
-            return nodes[state].transitions[letterID];
+        const {alphabetSize} = this;
+        if(state >= 0 && state < this.size() && letterID >= 0 && letterID < alphabetSize) {
+            return this.transitionTable[state * alphabetSize + letterID];
         } else {
-            throw new Error();
+            throw new Error(`Invalid DFA transition: state ${state}, letter ${letterID}`);
         }
     }
     
+    /**
+     * Equivalent to `go`, but without checking that the state and letter ID
+     * are in range; the result is unspecified if they are not. This is for
+     * hot loops where the arguments are known to be valid.
+     */
+    public goUnchecked(state: number, letterID: number): number {
+        return this.transitionTable[state * this.alphabetSize + letterID];
+    }
+    
     public getAcceptIDs(state: number): readonly number[] {
-        return this.nodes[state].acceptIDs;
+        return this.acceptSetMap.getByID(this.acceptSetIDs[state]);
     }
     
     public getAcceptSetID(state: number): number {
-        return this.nodes[state].acceptSetID;
+        return this.acceptSetIDs[state];
+    }
+    
+    /**
+     * Returns this DFA's transition table and accept sets, in a form which
+     * can be serialized as JSON and loaded by `DFA.fromJSON`.
+     */
+    public toJSON(): DFAData {
+        const {alphabetSize, acceptCount, acceptSetMap} = this;
+        return {
+            alphabetSize,
+            acceptCount,
+            acceptSets: acceptSetMap.map(acceptSet => acceptSet),
+            transitions: Array.from(this.transitionTable),
+            acceptSetIDs: Array.from(this.acceptSetIDs),
+        };
     }
     
     /**
      * Returns an array mapping each acceptID to the set of node IDs which accept it.
      */
     private computeAcceptingStates(): Iterable<ISet> {
-        const {nodes, acceptCount} = this;
-        const n = nodes.length;
+        const {acceptCount} = this;
+        const n = this.size();
         const table: MutableISet[] = makeArray(acceptCount, () => ISet.empty(n));
         for(let id = 0; id < n; ++id) {
-            for(const acceptID of nodes[id].acceptIDs) {
+            for(const acceptID of this.getAcceptIDs(id)) {
                 ISet.add(table[acceptID], id);
             }
         }
@@ -220,14 +318,13 @@ class DFA {
     public minimise(): DFA {
         // https://en.wikipedia.org/wiki/DFA_minimization#Hopcroft's_algorithm
         
-        const {alphabetSize, nodes} = this;
+        const {alphabetSize, transitionTable} = this;
         
-        const n = nodes.length;
+        const n = this.size();
         const inverseTransitions = makeArray(alphabetSize * n, () => ISet.empty(n));
         for(let id = 0; id < n; ++id) {
-            const {transitions} = nodes[id];
             for(let c = 0; c < alphabetSize; ++c) {
-                ISet.add(inverseTransitions[c * n + transitions[c]], id);
+                ISet.add(inverseTransitions[c * n + transitionTable[id * alphabetSize + c]], id);
             }
         }
         
@@ -255,14 +352,10 @@ class DFA {
         reps.getOrCreateID(0);
         partition.forEachRepresentative(x => reps.getOrCreateID(x));
         
-        const repNodes: DFANode[] = reps.map(rep => {
-            const {transitions, acceptSetID, acceptIDs} = this.nodes[rep];
-            return {
-                transitions: transitions.map(nodeID => reps.getID(nodeID)),
-                acceptSetID,
-                acceptIDs,
-            };
-        });
-        return new DFA(alphabetSize, this.acceptCount, this.acceptSetMap, repNodes);
+        const repNodes: DFANode[] = reps.map(rep => ({
+            transitions: makeArray(alphabetSize, c => reps.getID(transitionTable[rep * alphabetSize + c])),
+            acceptSetID: this.acceptSetIDs[rep],
+        }));
+        return DFA.fromNodes(alphabetSize, this.acceptCount, this.acceptSetMap, repNodes);
     }
 }
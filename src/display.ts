@@ -18,11 +18,15 @@ const PICO8_PALETTE: IRecord<string, string> = {
     F: '#FFCCAA',
 } as const;
 
-function displayGrid(grid: Grid, scale: number = 8) {
+/**
+ * Displays the grid on a new canvas, which is appended to `parent` and kept
+ * up-to-date as the grid changes.
+ */
+function displayGrid(grid: Grid, scale: number = 8, parent: HTMLElement = document.body): HTMLCanvasElement {
     const canvasElem = document.createElement('canvas');
     canvasElem.width = grid.width * scale;
     canvasElem.height = grid.height * scale;
-    document.body.appendChild(canvasElem);
+    parent.appendChild(canvasElem);
     const ctx = canvasElem.getContext('2d')!;
     ctx.fillStyle = PICO8_PALETTE[grid.alphabet.getByID(0)];
     ctx.fillRect(0, 0, grid.width * scale, grid.height * scale);
@@ -35,4 +39,5 @@ function displayGrid(grid: Grid, scale: number = 8) {
             }
         }
     });
+    return canvasElem;
 }
@@ -0,0 +1,99 @@
+///<reference path="convolution.ts"/>
+///<reference path="grid.ts"/>
+
+/**
+ * Specifies a distance field which biases a `one` node's choice of matches.
+ * The potential of each cell is its distance from the nearest cell whose
+ * symbol is in `to`, moving orthogonally through cells whose symbols are in
+ * `on`; cells which cannot be reached have no potential. Writing the symbol
+ * `for` at a cell is preferred where the cell's potential is lower.
+ * 
+ * If `inversed` is true, higher potentials are preferred instead. If
+ * `recompute` is true, the field is recomputed at every step; otherwise it is
+ * computed once, when the node first takes a step after being reset. The
+ * strings `to` and `on` may contain union symbols; see `ProgramOptions`.
+ */
+type FieldSpec = Readonly<{
+    for: string,
+    to: string,
+    on: string,
+    inversed?: boolean,
+    recompute?: boolean,
+}>
+
+/**
+ * A compiled distance field; see `FieldSpec`.
+ */
+type Field = Readonly<{
+    spec: FieldSpec,
+    forID: number,
+    to: ISet,
+    on: ISet,
+    inversed: boolean,
+    recompute: boolean,
+}>
+
+/**
+ * Compiles a distance field. An error is thrown if it uses an unknown symbol.
+ */
+function compileField(alphabet: IDMap<string>, spec: FieldSpec, unions: IRecord<string, string> = {}): Field {
+    const {inversed = false, recompute = false} = spec;
+    if(spec.for.length !== 1 || !alphabet.has(spec.for)) {
+        throw new Error(`Field must be for a single symbol, was '${spec.for}'`);
+    }
+    const n = alphabet.size();
+    return {
+        spec,
+        forID: alphabet.getID(spec.for),
+        to: ISet.of(n, symbolsToIDs(alphabet, spec.to, unions)),
+        on: ISet.of(n, symbolsToIDs(alphabet, spec.on, unions)),
+        inversed,
+        recompute,
+    };
+}
+
+/**
+ * Computes the distance of each cell from the nearest cell whose symbol is in
+ * `sources`, by breadth-first search through orthogonally-adjacent cells
+ * whose symbols are in `passable`. The result maps each grid index to its
+ * distance, or -1 if the cell cannot be reached. Neighbours wrap around the
+ * edges of a periodic grid.
+ */
+function computeDistances(grid: Grid, sources: ISet, passable: ISet): Int32Array {
+    const distances = new Int32Array(grid.width * grid.height).fill(-1);
+    const queue: number[] = [];
+    for(let i = 0; i < distances.length; ++i) {
+        if(ISet.has(sources, grid.grid[i])) {
+            distances[i] = 0;
+            queue.push(i);
+        }
+    }
+    
+    // `queue` is only appended to, so `head` is the start of the queue
+    for(let head = 0; head < queue.length; ++head) {
+        const i = queue[head];
+        for(const j of getNeighbours(grid, i)) {
+            if(j >= 0 && distances[j] < 0 && ISet.has(passable, grid.grid[j])) {
+                distances[j] = distances[i] + 1;
+                queue.push(j);
+            }
+        }
+    }
+    return distances;
+}
+
+/**
+ * Returns the grid indices of the orthogonal neighbours of the cell at the
+ * given index, in the order of `NEIGHBOURHOOD_OFFSETS.vonNeumann`, with -1
+ * for each neighbour which is outside of the grid. Neighbours wrap around the
+ * edges of a periodic grid.
+ */
+function getNeighbours(grid: Grid, index: number): number[] {
+    const {width, height, periodicX, periodicY} = grid;
+    const x = index % width, y = Math.floor(index / width);
+    return NEIGHBOURHOOD_OFFSETS.vonNeumann.map(([dx, dy]) => {
+        const nx = x + dx, ny = y + dy;
+        return (!periodicX && (nx < 0 || nx >= width)) || (!periodicY && (ny < 0 || ny >= height)) ? -1
+            : grid.index(nx, ny);
+    });
+}
@@ -1,7 +1,23 @@
+///<reference path="history.ts"/>
 ///<reference path="matcher.ts"/>
 
 type GridChangeListener = (minX: number, minY: number, maxX: number, maxY: number) => void
 
+/**
+ * Determines whether a grid wraps around. If `periodicX` is true, then the
+ * left and right edges are adjacent, so patterns can match and be written
+ * across them; likewise `periodicY` for the top and bottom edges.
+ */
+type Topology = Readonly<{
+    periodicX?: boolean,
+    periodicY?: boolean,
+}>
+
+/**
+ * The size in bytes of the header in the binary format of `Grid.toBytes`.
+ */
+const GRID_HEADER_SIZE = 9;
+
 class Grid {
     /**
      * Maps each `index(x, y)` to the ID of the symbol at (x, y).
@@ -13,19 +29,38 @@ class Grid {
      */
     private readonly onChange: GridChangeListener[] = [];
     
+    /**
+     * Records changes to the grid, if history is being recorded; see `recordHistory`.
+     */
+    private history: GridHistory | undefined = undefined;
+    
+    public readonly periodicX: boolean;
+    public readonly periodicY: boolean;
+    
     public constructor(
         public readonly alphabet: IDMap<string>,
         public readonly width: number,
         public readonly height: number,
+        topology: Topology = {},
     ) {
         this.grid = makeUintArray(width * height, alphabet.size());
+        this.periodicX = topology.periodicX ?? false;
+        this.periodicY = topology.periodicY ?? false;
     }
     
+    /**
+     * Returns the index of (x, y) in `grid`. If the grid is periodic, the
+     * coordinates wrap around; otherwise, an error is thrown if they are out
+     * of bounds.
+     */
     public index(x: number, y: number): number {
-        if(x < 0 || x >= this.width || y < 0 || y >= this.height) {
+        const {width, height} = this;
+        if(this.periodicX) { x = mod(x, width); }
+        if(this.periodicY) { y = mod(y, height); }
+        if(x < 0 || x >= width || y < 0 || y >= height) {
             throw new Error(`Out of bounds: ${x},${y}`);
         }
-        return x + y * this.width;
+        return x + y * width;
     }
     
     public get(x: number, y: number): string {
@@ -33,27 +68,257 @@ class Grid {
         return this.alphabet.getByID(c);
     }
     public set(x: number, y: number, value: string): void {
-        this.grid[this.index(x, y)] = this.alphabet.getID(value);
+        this.write(this.index(x, y), this.alphabet.getID(value));
         this.notify(x, y, x + 1, y + 1);
     }
     
+    /**
+     * Fills the grid with the first symbol of the alphabet.
+     */
+    public clear(): void {
+        const {grid} = this;
+        if(this.history === undefined) {
+            grid.fill(0);
+        } else {
+            for(let i = 0; i < grid.length; ++i) {
+                this.write(i, 0);
+            }
+        }
+        this.notify(0, 0, this.width, this.height);
+    }
+    
+    /**
+     * Starts recording the changes made to this grid, so that they can be
+     * undone. An error is thrown if history is already being recorded.
+     */
+    public recordHistory(): GridHistory {
+        if(this.history !== undefined) { throw new Error(`History is already being recorded`); }
+        return this.history = new GridHistory(this);
+    }
+    
+    /**
+     * Stops recording changes made to this grid, and discards the history.
+     */
+    public stopHistory(): void {
+        this.history = undefined;
+    }
+    
+    /**
+     * Writes the symbol IDs `values[i]` at the indices `indices[i]`, in order,
+     * and notifies listeners once, of the bounding box of the written cells.
+     */
+    public setCells(indices: readonly number[], values: readonly number[]): void {
+        const {width} = this;
+        let minX = this.width, minY = this.height, maxX = 0, maxY = 0;
+        for(let i = 0; i < indices.length; ++i) {
+            const index = indices[i];
+            this.write(index, values[i]);
+            const x = index % width, y = Math.floor(index / width);
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x + 1);
+            maxY = Math.max(maxY, y + 1);
+        }
+        if(minX < maxX) { this.notify(minX, minY, maxX, maxY); }
+    }
+    
+    /**
+     * Writes a symbol ID at an index in `grid`, recording the previous symbol
+     * if history is being recorded. Listeners are not notified.
+     */
+    private write(index: number, c: number): void {
+        const {grid, history} = this;
+        if(history !== undefined && grid[index] !== c) {
+            history.record(index, grid[index], c);
+        }
+        grid[index] = c;
+    }
+    
     /**
      * Writes a pattern into the grid, starting at the coordinates (x, y).
      */
     public setPattern(x: number, y: number, pattern: Pattern): void {
-        const {grid} = this;
         const {vectorData, minX, minY, maxX, maxY} = pattern;
         
         for(let i = 0; i < vectorData.length; i += 3) {
             const dx = vectorData[i];
             const dy = vectorData[i + 1];
             const c = vectorData[i + 2];
-            grid[this.index(x + dx, y + dy)] = c;
+            this.write(this.index(x + dx, y + dy), c);
         }
         
         this.notify(x + minX, y + minY, x + maxX, y + maxY);
     }
     
+    /**
+     * Replaces the whole contents of the grid with the given symbol IDs, in
+     * the same order as `grid`. Listeners are notified once, for the whole
+     * grid.
+     */
+    public load(data: ArrayLike<number>): void {
+        const {grid, alphabet} = this;
+        if(data.length !== grid.length) {
+            throw new Error(`Expected ${grid.length} cells, was ${data.length}`);
+        }
+        const alphabetSize = alphabet.size();
+        for(let i = 0; i < data.length; ++i) {
+            const c = data[i];
+            if(!Number.isInteger(c) || c < 0 || c >= alphabetSize) {
+                throw new Error(`Invalid symbol ID ${c} at index ${i}`);
+            }
+        }
+        if(this.history === undefined) {
+            grid.set(data);
+        } else {
+            for(let i = 0; i < data.length; ++i) {
+                this.write(i, data[i]);
+            }
+        }
+        this.notify(0, 0, this.width, this.height);
+    }
+    
+    /**
+     * Returns a copy of the symbol IDs in the rectangular area from
+     * startX/Y (inclusive) to endX/Y (exclusive), in row-major order. An
+     * error is thrown if the area is not within the grid.
+     */
+    public getRect(startX: number, startY: number, endX: number, endY: number): UintArray {
+        const {grid} = this;
+        const rectWidth = endX - startX;
+        if(startX < 0 || endX > this.width || startY < 0 || endY > this.height || rectWidth < 0 || startY > endY) {
+            throw new Error(`Out of bounds: ${startX},${startY} to ${endX},${endY}`);
+        }
+        const out = makeUintArray(rectWidth * (endY - startY), this.alphabet.size());
+        for(let y = startY; y < endY; ++y) {
+            const offset = this.index(startX, y);
+            out.set(grid.subarray(offset, offset + rectWidth), (y - startY) * rectWidth);
+        }
+        return out;
+    }
+    
+    /**
+     * Replaces the contents of the rectangular area from startX/Y
+     * (inclusive) to endX/Y (exclusive) with the given symbol IDs, in the
+     * same order as `getRect`. Listeners are notified once, for the area.
+     */
+    public loadRect(startX: number, startY: number, endX: number, endY: number, data: ArrayLike<number>): void {
+        const {grid, alphabet} = this;
+        const rectWidth = endX - startX;
+        if(startX < 0 || endX > this.width || startY < 0 || endY > this.height || rectWidth < 0 || startY > endY) {
+            throw new Error(`Out of bounds: ${startX},${startY} to ${endX},${endY}`);
+        } else if(data.length !== rectWidth * (endY - startY)) {
+            throw new Error(`Expected ${rectWidth * (endY - startY)} cells, was ${data.length}`);
+        }
+        const alphabetSize = alphabet.size();
+        for(let i = 0; i < data.length; ++i) {
+            const c = data[i];
+            if(!Number.isInteger(c) || c < 0 || c >= alphabetSize) {
+                throw new Error(`Invalid symbol ID ${c} at index ${i}`);
+            }
+        }
+        for(let i = 0; i < data.length; ++i) {
+            this.write(this.index(startX + i % rectWidth, startY + Math.floor(i / rectWidth)), data[i]);
+        }
+        this.notify(startX, startY, endX, endY);
+    }
+    
+    /**
+     * Returns the contents of the grid as text, with one symbol per cell and
+     * rows separated by newlines. All symbols must be single characters.
+     */
+    public toText(): string {
+        const {alphabet, width, height} = this;
+        alphabet.forEach(symbol => {
+            if(symbol.length !== 1) { throw new Error(`Symbol '${symbol}' is not a single character`); }
+        });
+        
+        const rows: string[] = [];
+        for(let y = 0; y < height; ++y) {
+            let row = '';
+            for(let x = 0; x < width; ++x) {
+                row += this.get(x, y);
+            }
+            rows.push(row);
+        }
+        return rows.join('\n');
+    }
+    
+    /**
+     * Replaces the whole contents of the grid from text in the format
+     * returned by `toText`. A trailing newline is permitted.
+     */
+    public loadText(text: string): void {
+        const {alphabet, width, height} = this;
+        const rows = text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+        if(rows.length !== height || rows.some(row => row.length !== width)) {
+            throw new Error(`Expected ${height} rows of width ${width}`);
+        }
+        
+        const data = makeUintArray(width * height, alphabet.size());
+        rows.forEach((row, y) => {
+            for(let x = 0; x < width; ++x) {
+                const id = alphabet.getIDOrDefault(row[x]);
+                if(id < 0) { throw new Error(`Unknown symbol '${row[x]}' at ${x},${y}`); }
+                data[x + y * width] = id;
+            }
+        });
+        this.load(data);
+    }
+    
+    /**
+     * Returns the contents of the grid in a compact binary format: the width
+     * and height as 32-bit unsigned integers, then the number of bytes per
+     * cell, then the symbol ID of each cell in the same order as `grid`. All
+     * numbers are little-endian.
+     */
+    public toBytes(): Uint8Array {
+        const {grid, width, height} = this;
+        const bytesPerCell = grid.BYTES_PER_ELEMENT;
+        const bytes = new Uint8Array(GRID_HEADER_SIZE + grid.length * bytesPerCell);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, width, true);
+        view.setUint32(4, height, true);
+        view.setUint8(8, bytesPerCell);
+        for(let i = 0; i < grid.length; ++i) {
+            const offset = GRID_HEADER_SIZE + i * bytesPerCell;
+            switch(bytesPerCell) {
+                case 1: view.setUint8(offset, grid[i]); break;
+                case 2: view.setUint16(offset, grid[i], true); break;
+                default: view.setUint32(offset, grid[i], true); break;
+            }
+        }
+        return bytes;
+    }
+    
+    /**
+     * Replaces the whole contents of the grid from data in the format
+     * returned by `toBytes`. The dimensions must match this grid's.
+     */
+    public loadBytes(bytes: Uint8Array): void {
+        const {width, height} = this;
+        if(bytes.length < GRID_HEADER_SIZE) { throw new Error(`Truncated grid data`); }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const w = view.getUint32(0, true), h = view.getUint32(4, true);
+        const bytesPerCell = view.getUint8(8);
+        if(w !== width || h !== height) {
+            throw new Error(`Expected a ${width}x${height} grid, was ${w}x${h}`);
+        } else if(bytesPerCell !== 1 && bytesPerCell !== 2 && bytesPerCell !== 4) {
+            throw new Error(`Invalid cell size ${bytesPerCell}`);
+        } else if(bytes.length !== GRID_HEADER_SIZE + width * height * bytesPerCell) {
+            throw new Error(`Expected ${width * height} cells of ${bytesPerCell} bytes`);
+        }
+        
+        const data = makeArray(width * height, i => {
+            const offset = GRID_HEADER_SIZE + i * bytesPerCell;
+            switch(bytesPerCell) {
+                case 1: return view.getUint8(offset);
+                case 2: return view.getUint16(offset, true);
+                default: return view.getUint32(offset, true);
+            }
+        });
+        this.load(data);
+    }
+    
     /**
      * Registers a callback function, which will be called whenever the grid's
      * contents change.
@@ -64,11 +329,32 @@ class Grid {
     
     /**
      * Notifies listeners of changes in the rectangular area from startX/Y
-     * (inclusive) to endX/Y (exclusive).
+     * (inclusive) to endX/Y (exclusive). If the grid is periodic, an area
+     * which crosses an edge is split, so that listeners are only notified of
+     * areas within the bounds of the grid.
      */
     private notify(startX: number, startY: number, endX: number, endY: number): void {
-        for(const f of this.onChange) {
-            f(startX, startY, endX, endY);
+        const xRanges = this.periodicX ? wrapRange(startX, endX, this.width) : [[startX, endX]];
+        const yRanges = this.periodicY ? wrapRange(startY, endY, this.height) : [[startY, endY]];
+        for(const [x0, x1] of xRanges) {
+            for(const [y0, y1] of yRanges) {
+                for(const f of this.onChange) {
+                    f(x0, y0, x1, y1);
+                }
+            }
         }
     }
 }
+
+/**
+ * Splits the range from `start` (inclusive) to `end` (exclusive) into at
+ * most two ranges within the bounds from 0 to `size`, by wrapping around.
+ */
+function wrapRange(start: number, end: number, size: number): [number, number][] {
+    if(end - start >= size) { return [[0, size]]; }
+    const wrappedStart = mod(start, size);
+    const wrappedEnd = wrappedStart + end - start;
+    return wrappedEnd <= size
+        ? [[wrappedStart, wrappedEnd]]
+        : [[wrappedStart, size], [0, wrappedEnd - size]];
+}
@@ -0,0 +1,109 @@
+///<reference path="pattern3d.ts"/>
+
+type Grid3DChangeListener = (minX: number, minY: number, minZ: number, maxX: number, maxY: number, maxZ: number) => void
+
+/**
+ * A 3D grid of voxels, analogous to `Grid`. The grid is stored as a stack of
+ * layers, in order of increasing z.
+ */
+class Grid3D {
+    /**
+     * Maps each `index(x, y, z)` to the ID of the symbol at (x, y, z).
+     */
+    public readonly grid: UintArray;
+    
+    /**
+     * Array of listeners which will be notified after any box of the grid has changed.
+     */
+    private readonly onChange: Grid3DChangeListener[] = [];
+    
+    public constructor(
+        public readonly alphabet: IDMap<string>,
+        public readonly width: number,
+        public readonly height: number,
+        public readonly depth: number,
+    ) {
+        this.grid = makeUintArray(width * height * depth, alphabet.size());
+    }
+    
+    public index(x: number, y: number, z: number): number {
+        if(x < 0 || x >= this.width || y < 0 || y >= this.height || z < 0 || z >= this.depth) {
+            throw new Error(`Out of bounds: ${x},${y},${z}`);
+        }
+        return x + this.width * (y + this.height * z);
+    }
+    
+    public get(x: number, y: number, z: number): string {
+        const c = this.grid[this.index(x, y, z)];
+        return this.alphabet.getByID(c);
+    }
+    public set(x: number, y: number, z: number, value: string): void {
+        this.grid[this.index(x, y, z)] = this.alphabet.getID(value);
+        this.notify(x, y, z, x + 1, y + 1, z + 1);
+    }
+    
+    /**
+     * Fills the grid with the first symbol of the alphabet.
+     */
+    public clear(): void {
+        this.grid.fill(0);
+        this.notify(0, 0, 0, this.width, this.height, this.depth);
+    }
+    
+    /**
+     * Writes a pattern into the grid, starting at the coordinates (x, y, z).
+     */
+    public setPattern(x: number, y: number, z: number, pattern: Pattern3D): void {
+        const {grid} = this;
+        const {vectorData, minX, minY, minZ, maxX, maxY, maxZ} = pattern;
+        
+        for(let i = 0; i < vectorData.length; i += 4) {
+            const dx = vectorData[i];
+            const dy = vectorData[i + 1];
+            const dz = vectorData[i + 2];
+            const c = vectorData[i + 3];
+            grid[this.index(x + dx, y + dy, z + dz)] = c;
+        }
+        
+        this.notify(x + minX, y + minY, z + minZ, x + maxX, y + maxY, z + maxZ);
+    }
+    
+    /**
+     * Replaces the whole contents of the grid with the given symbol IDs, in
+     * the same order as `grid`. Listeners are notified once, for the whole
+     * grid.
+     */
+    public load(data: ArrayLike<number>): void {
+        const {grid, alphabet} = this;
+        if(data.length !== grid.length) {
+            throw new Error(`Expected ${grid.length} cells, was ${data.length}`);
+        }
+        const alphabetSize = alphabet.size();
+        for(let i = 0; i < data.length; ++i) {
+            const c = data[i];
+            if(!Number.isInteger(c) || c < 0 || c >= alphabetSize) {
+                throw new Error(`Invalid symbol ID ${c} at index ${i}`);
+            }
+        }
+        grid.set(data);
+        this.notify(0, 0, 0, this.width, this.height, this.depth);
+    }
+    
+    /**
+     * Registers a callback function, which will be called whenever the grid's
+     * contents change.
+     */
+    public listen(f: Grid3DChangeListener): void {
+        this.onChange.push(f);
+    }
+    
+    /**
+     * Notifies listeners of changes in the box from startX/Y/Z (inclusive)
+     * to endX/Y/Z (exclusive).
+     */
+    private notify(startX: number, startY: number, startZ: number, endX: number, endY: number, endZ: number): void {
+        for(const f of this.onChange) {
+            f(startX, startY, startZ, endX, endY, endZ);
+        }
+    }
+}
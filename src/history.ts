@@ -0,0 +1,174 @@
+///<reference path="grid.ts"/>
+
+/**
+ * Records the changes made to a grid, divided into steps by checkpoints, so
+ * that steps can be undone and redone. Undoing and redoing steps notifies
+ * the grid's listeners, so a `MatcherState` for the grid stays consistent.
+ * 
+ * Recording a change after undoing some steps discards those steps, so they
+ * can no longer be redone.
+ */
+class GridHistory {
+    /**
+     * The grid indices of the recorded changes, in the order they were made.
+     */
+    private readonly indices: number[] = [];
+    
+    /**
+     * The symbol IDs before each recorded change.
+     */
+    private readonly oldValues: number[] = [];
+    
+    /**
+     * The symbol IDs after each recorded change.
+     */
+    private readonly newValues: number[] = [];
+    
+    /**
+     * The number of recorded changes at each checkpoint; step `i` consists of
+     * the changes from `checkpoints[i - 1]` (inclusive) to `checkpoints[i]`
+     * (exclusive).
+     * 
+     * Invariant: `checkpoints[0] === 0`
+     */
+    private readonly checkpoints: number[] = [0];
+    
+    /**
+     * The number of steps which are currently applied to the grid.
+     */
+    private position: number = 0;
+    
+    /**
+     * Indicates whether the grid is being written to by `undo` or `redo`, in
+     * which case those writes are not recorded.
+     */
+    private applying: boolean = false;
+    
+    /**
+     * Use `grid.recordHistory()` to create an instance.
+     */
+    public constructor(public readonly grid: Grid) {}
+    
+    /**
+     * Records a change made to the grid; this is called by the grid.
+     */
+    public record(index: number, oldValue: number, newValue: number): void {
+        if(this.applying) { return; }
+        
+        this.discardUndone();
+        this.indices.push(index);
+        this.oldValues.push(oldValue);
+        this.newValues.push(newValue);
+    }
+    
+    /**
+     * Ends the current step, so that the changes since the last checkpoint
+     * are undone together. Returns the number of the new checkpoint, i.e. the
+     * number of steps before it.
+     */
+    public checkpoint(): number {
+        this.discardUndone();
+        this.checkpoints.push(this.indices.length);
+        return ++this.position;
+    }
+    
+    /**
+     * Returns the number of steps which are currently applied to the grid.
+     * This is the number of checkpoints before the current state, excluding
+     * any steps which were undone.
+     */
+    public getPosition(): number {
+        return this.position;
+    }
+    
+    /**
+     * Returns the number of recorded steps, including any which were undone.
+     */
+    public getLength(): number {
+        return this.checkpoints.length - 1;
+    }
+    
+    /**
+     * Undoes the most recent step, and returns `true` if there was one. Any
+     * changes since the last checkpoint are first ended as a step.
+     */
+    public undo(): boolean {
+        if(this.hasPendingChanges()) { this.checkpoint(); }
+        if(this.position === 0) { return false; }
+        
+        const {indices, oldValues, checkpoints} = this;
+        const start = checkpoints[this.position - 1], end = checkpoints[this.position];
+        // undo the changes in reverse order, in case a cell was changed more than once
+        const undoIndices: number[] = [], undoValues: number[] = [];
+        for(let i = end - 1; i >= start; --i) {
+            undoIndices.push(indices[i]);
+            undoValues.push(oldValues[i]);
+        }
+        this.apply(undoIndices, undoValues);
+        --this.position;
+        return true;
+    }
+    
+    /**
+     * Redoes the most recently undone step, and returns `true` if there was one.
+     */
+    public redo(): boolean {
+        const {checkpoints, position} = this;
+        if(position >= checkpoints.length - 1) { return false; }
+        
+        const start = checkpoints[position], end = checkpoints[position + 1];
+        this.apply(this.indices.slice(start, end), this.newValues.slice(start, end));
+        ++this.position;
+        return true;
+    }
+    
+    /**
+     * Undoes or redoes steps until `position` steps are applied to the grid.
+     * An error is thrown if there is no such step.
+     */
+    public goTo(position: number): void {
+        if(this.hasPendingChanges()) { this.checkpoint(); }
+        if(!Number.isInteger(position) || position < 0 || position > this.getLength()) {
+            throw new Error(`No step ${position} in history of length ${this.getLength()}`);
+        }
+        while(this.position > position) { this.undo(); }
+        while(this.position < position) { this.redo(); }
+    }
+    
+    /**
+     * Discards all recorded steps, so that the current state of the grid is
+     * the start of the history.
+     */
+    public clear(): void {
+        this.indices.length = this.oldValues.length = this.newValues.length = 0;
+        this.checkpoints.length = 1;
+        this.position = 0;
+    }
+    
+    /**
+     * Indicates whether changes have been recorded since the last checkpoint.
+     */
+    private hasPendingChanges(): boolean {
+        return this.position === this.checkpoints.length - 1 && this.indices.length > this.checkpoints[this.position];
+    }
+    
+    /**
+     * Discards any steps which were undone, so they can no longer be redone.
+     */
+    private discardUndone(): void {
+        const {checkpoints, position} = this;
+        if(position < checkpoints.length - 1) {
+            checkpoints.length = position + 1;
+            this.indices.length = this.oldValues.length = this.newValues.length = checkpoints[position];
+        }
+    }
+    
+    private apply(indices: readonly number[], values: readonly number[]): void {
+        this.applying = true;
+        try {
+            this.grid.setCells(indices, values);
+        } finally {
+            this.applying = false;
+        }
+    }
+}
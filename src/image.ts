@@ -0,0 +1,581 @@
+///<reference path="display.ts"/>
+///<reference path="misc.ts"/>
+
+/**
+ * An image with 8-bit RGBA pixels, in rows from top to bottom. This is
+ * compatible with the DOM's `ImageData`, but does not require a DOM.
+ */
+type RGBAImage = Readonly<{
+    width: number,
+    height: number,
+    data: Uint8Array | Uint8ClampedArray,
+}>
+
+/**
+ * Maps symbols to colours, in the form `#RRGGBB`.
+ */
+type Palette = IRecord<string, string>
+
+function parseColour(colour: string): number {
+    const m = /^#([0-9a-fA-F]{6})$/.exec(colour);
+    if(m === null) { throw new Error(`Invalid colour '${colour}'`); }
+    return parseInt(m[1], 16);
+}
+
+/**
+ * Draws the grid as an image, using the given palette; each cell is drawn as
+ * a square of `scale * scale` pixels. Symbols without a colour in the palette
+ * are drawn in black.
+ */
+function gridToImage(grid: Grid, palette: Palette = PICO8_PALETTE, scale: number = 1): RGBAImage {
+    const {alphabet, width, height} = grid;
+    const colours = alphabet.map(symbol => symbol in palette ? parseColour(palette[symbol]) : 0);
+    
+    const imageWidth = width * scale, imageHeight = height * scale;
+    const data = new Uint8Array(imageWidth * imageHeight * 4);
+    for(let py = 0; py < imageHeight; ++py) {
+        for(let px = 0; px < imageWidth; ++px) {
+            const colour = colours[grid.grid[grid.index(Math.floor(px / scale), Math.floor(py / scale))]];
+            const i = (px + py * imageWidth) * 4;
+            data[i] = colour >> 16;
+            data[i + 1] = (colour >> 8) & 0xFF;
+            data[i + 2] = colour & 0xFF;
+            data[i + 3] = 0xFF;
+        }
+    }
+    return {width: imageWidth, height: imageHeight, data};
+}
+
+/**
+ * Replaces the whole contents of the grid with the symbols whose colours in
+ * the palette are the colours of the image's pixels. The image must have the
+ * same dimensions as the grid, and every pixel must have the colour of some
+ * symbol in the grid's alphabet; alpha values are ignored.
+ */
+function loadGridFromImage(grid: Grid, image: RGBAImage, palette: Palette = PICO8_PALETTE): void {
+    const {alphabet, width, height} = grid;
+    if(image.width !== width || image.height !== height) {
+        throw new Error(`Expected a ${width}x${height} image, was ${image.width}x${image.height}`);
+    }
+    
+    const colourToID = new Map<number, number>();
+    alphabet.forEach((symbol, id) => {
+        if(!(symbol in palette)) { return; }
+        const colour = parseColour(palette[symbol]);
+        if(colourToID.has(colour)) {
+            throw new Error(`Symbols '${alphabet.getByID(colourToID.get(colour)!)}' and '${symbol}' have the same colour`);
+        }
+        colourToID.set(colour, id);
+    });
+    
+    const {data} = image;
+    grid.load(makeArray(width * height, i => {
+        const colour = (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+        const id = colourToID.get(colour);
+        if(id === undefined) {
+            const hex = colour.toString(16).toUpperCase().padStart(6, '0');
+            throw new Error(`No symbol has colour #${hex}, at ${i % width},${Math.floor(i / width)}`);
+        }
+        return id;
+    }));
+}
+
+/**
+ * Reads and writes images in the binary PPM format.
+ * 
+ * https://netpbm.sourceforge.net/doc/ppm.html
+ */
+namespace PPM {
+    export function encode(image: RGBAImage): Uint8Array {
+        const {width, height, data} = image;
+        const header = new TextEncoder().encode(`P6\n${width} ${height}\n255\n`);
+        const out = new Uint8Array(header.length + width * height * 3);
+        out.set(header);
+        for(let i = 0, j = header.length; i < data.length; i += 4, j += 3) {
+            out[j] = data[i];
+            out[j + 1] = data[i + 1];
+            out[j + 2] = data[i + 2];
+        }
+        return out;
+    }
+    
+    /**
+     * Decodes a PPM image in either the binary (P6) or plain (P3) format.
+     */
+    export function decode(bytes: Uint8Array): RGBAImage {
+        let pos = 0;
+        function nextToken(): string {
+            let token = '';
+            while(pos < bytes.length) {
+                const c = String.fromCharCode(bytes[pos]);
+                if(c === '#' && token === '') {
+                    while(pos < bytes.length && bytes[pos] !== 0x0A) { ++pos; }
+                } else if(/\s/.test(c)) {
+                    ++pos;
+                    if(token !== '') { return token; }
+                } else {
+                    token += c;
+                    ++pos;
+                }
+            }
+            if(token === '') { throw new Error(`Truncated PPM data`); }
+            return token;
+        }
+        function nextInt(): number {
+            const token = nextToken();
+            if(!/^\d+$/.test(token)) { throw new Error(`Expected an integer, was '${token}'`); }
+            return parseInt(token, 10);
+        }
+        
+        const magic = nextToken();
+        if(magic !== 'P6' && magic !== 'P3') { throw new Error(`Not a PPM image`); }
+        const width = nextInt(), height = nextInt(), maxValue = nextInt();
+        if(maxValue <= 0 || maxValue > 255) { throw new Error(`Unsupported maximum value ${maxValue}`); }
+        
+        const n = width * height;
+        if(magic === 'P6' && bytes.length < pos + n * 3) { throw new Error(`Truncated PPM data`); }
+        const data = new Uint8Array(n * 4);
+        for(let i = 0; i < n; ++i) {
+            for(let k = 0; k < 3; ++k) {
+                const v = magic === 'P6' ? bytes[pos++] : nextInt();
+                data[i * 4 + k] = Math.round(v * 255 / maxValue);
+            }
+            data[i * 4 + 3] = 0xFF;
+        }
+        return {width, height, data};
+    }
+}
+
+/**
+ * Reads and writes images in the PNG format, without depending on a DOM or
+ * on any compression library.
+ * 
+ * https://www.w3.org/TR/png/
+ */
+namespace PNG {
+    const SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    
+    const CRC_TABLE = makeArray(256, n => {
+        let c = n;
+        for(let k = 0; k < 8; ++k) {
+            c = (c & 1) !== 0 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+    });
+    
+    function crc32(bytes: Uint8Array, start: number, end: number): number {
+        let c = 0xFFFFFFFF;
+        for(let i = start; i < end; ++i) {
+            c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+        }
+        return (c ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    function adler32(bytes: Uint8Array): number {
+        let a = 1, b = 0;
+        for(let i = 0; i < bytes.length; ++i) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+    
+    /**
+     * Encodes an image as an 8-bit RGBA PNG.
+     */
+    export function encode(image: RGBAImage): Uint8Array {
+        const {width, height, data} = image;
+        
+        // each scanline is preceded by its filter type, which is always 0 (none)
+        const rowBytes = width * 4;
+        const raw = new Uint8Array((rowBytes + 1) * height);
+        for(let y = 0; y < height; ++y) {
+            raw.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+        }
+        const compressed = Deflate.compress(raw);
+        const zlib = new Uint8Array(compressed.length + 6);
+        zlib[0] = 0x78;
+        zlib[1] = 0x01;
+        zlib.set(compressed, 2);
+        new DataView(zlib.buffer).setUint32(zlib.length - 4, adler32(raw));
+        
+        const ihdr = new Uint8Array(13);
+        const ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, width);
+        ihdrView.setUint32(4, height);
+        // bit depth 8, colour type 6 (RGBA), default compression, filtering and interlacing
+        ihdr.set([8, 6, 0, 0, 0], 8);
+        
+        const chunks: [string, Uint8Array][] = [['IHDR', ihdr], ['IDAT', zlib], ['IEND', new Uint8Array(0)]];
+        const out = new Uint8Array(SIGNATURE.length + chunks.reduce((a, [, c]) => a + c.length + 12, 0));
+        const view = new DataView(out.buffer);
+        out.set(SIGNATURE);
+        let pos = SIGNATURE.length;
+        for(const [type, chunk] of chunks) {
+            view.setUint32(pos, chunk.length);
+            for(let i = 0; i < 4; ++i) { out[pos + 4 + i] = type.charCodeAt(i); }
+            out.set(chunk, pos + 8);
+            view.setUint32(pos + 8 + chunk.length, crc32(out, pos + 4, pos + 8 + chunk.length));
+            pos += chunk.length + 12;
+        }
+        return out;
+    }
+    
+    /**
+     * Decodes a non-interlaced PNG image of any colour type, with bit depth
+     * up to 8, or 16 in which case the low bytes of samples are ignored.
+     */
+    export function decode(bytes: Uint8Array): RGBAImage {
+        if(bytes.length < SIGNATURE.length || SIGNATURE.some((b, i) => bytes[i] !== b)) {
+            throw new Error(`Not a PNG image`);
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        
+        let width = 0, height = 0, bitDepth = 0, colourType = -1;
+        let palette = new Uint8Array(0), paletteAlpha = new Uint8Array(0);
+        const idat: Uint8Array[] = [];
+        for(let pos = SIGNATURE.length; ; ) {
+            if(pos + 12 > bytes.length) { throw new Error(`Truncated PNG data`); }
+            const length = view.getUint32(pos);
+            const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+            const chunk = bytes.subarray(pos + 8, pos + 8 + length);
+            if(chunk.length !== length) { throw new Error(`Truncated PNG data`); }
+            if(view.getUint32(pos + 8 + length) !== crc32(bytes, pos + 4, pos + 8 + length)) {
+                throw new Error(`Bad CRC in ${type} chunk`);
+            }
+            pos += length + 12;
+            
+            if(type === 'IHDR') {
+                const v = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+                width = v.getUint32(0);
+                height = v.getUint32(4);
+                bitDepth = chunk[8];
+                colourType = chunk[9];
+                if(chunk[12] !== 0) { throw new Error(`Interlaced PNG images are not supported`); }
+            } else if(type === 'PLTE') {
+                palette = chunk;
+            } else if(type === 'tRNS') {
+                paletteAlpha = chunk;
+            } else if(type === 'IDAT') {
+                idat.push(chunk);
+            } else if(type === 'IEND') {
+                break;
+            }
+        }
+        
+        const channels = [1, 0, 3, 1, 2, 0, 4][colourType] ?? 0;
+        if(channels === 0 || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+            throw new Error(`Unsupported PNG colour type ${colourType} with bit depth ${bitDepth}`);
+        }
+        
+        const zlib = new Uint8Array(idat.reduce((a, c) => a + c.length, 0));
+        idat.reduce((pos, c) => (zlib.set(c, pos), pos + c.length), 0);
+        if((zlib[0] & 0x0F) !== 8) { throw new Error(`Unsupported compression method`); }
+        const raw = Deflate.decompress(zlib.subarray(2));
+        
+        // undo the scanline filters
+        const bitsPerPixel = channels * bitDepth;
+        const bpp = Math.max(1, bitsPerPixel >> 3);
+        const rowBytes = Math.ceil(width * bitsPerPixel / 8);
+        if(raw.length < (rowBytes + 1) * height) { throw new Error(`Truncated PNG data`); }
+        const pixels = new Uint8Array(rowBytes * height);
+        for(let y = 0; y < height; ++y) {
+            const filter = raw[y * (rowBytes + 1)];
+            const src = y * (rowBytes + 1) + 1, dst = y * rowBytes;
+            for(let i = 0; i < rowBytes; ++i) {
+                const a = i >= bpp ? pixels[dst + i - bpp] : 0;
+                const b = y > 0 ? pixels[dst + i - rowBytes] : 0;
+                const c = i >= bpp && y > 0 ? pixels[dst + i - bpp - rowBytes] : 0;
+                let predictor: number;
+                switch(filter) {
+                    case 0: predictor = 0; break;
+                    case 1: predictor = a; break;
+                    case 2: predictor = b; break;
+                    case 3: predictor = (a + b) >> 1; break;
+                    case 4: {
+                        const p = a + b - c;
+                        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+                        predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+                        break;
+                    }
+                    default: throw new Error(`Invalid filter type ${filter}`);
+                }
+                pixels[dst + i] = (raw[src + i] + predictor) & 0xFF;
+            }
+        }
+        
+        // returns the k-th sample of the row starting at `rowStart`, scaled to 8 bits
+        function sample(rowStart: number, k: number): number {
+            if(bitDepth >= 8) {
+                return pixels[rowStart + k * (bitDepth >> 3)];
+            }
+            const bit = k * bitDepth;
+            const v = (pixels[rowStart + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+            return colourType === 3 ? v : Math.round(v * 255 / ((1 << bitDepth) - 1));
+        }
+        
+        const data = new Uint8Array(width * height * 4);
+        for(let y = 0; y < height; ++y) {
+            for(let x = 0; x < width; ++x) {
+                const i = (x + y * width) * 4;
+                const k = x * channels;
+                let r: number, g: number, b: number, alpha = 0xFF;
+                switch(colourType) {
+                    case 0: r = g = b = sample(y * rowBytes, k); break;
+                    case 2: r = sample(y * rowBytes, k); g = sample(y * rowBytes, k + 1); b = sample(y * rowBytes, k + 2); break;
+                    case 3: {
+                        const index = sample(y * rowBytes, k);
+                        if(index * 3 + 2 >= palette.length) { throw new Error(`Palette index ${index} out of range`); }
+                        r = palette[index * 3]; g = palette[index * 3 + 1]; b = palette[index * 3 + 2];
+                        alpha = index < paletteAlpha.length ? paletteAlpha[index] : 0xFF;
+                        break;
+                    }
+                    case 4: r = g = b = sample(y * rowBytes, k); alpha = sample(y * rowBytes, k + 1); break;
+                    default: r = sample(y * rowBytes, k); g = sample(y * rowBytes, k + 1); b = sample(y * rowBytes, k + 2); alpha = sample(y * rowBytes, k + 3); break;
+                }
+                data[i] = r;
+                data[i + 1] = g;
+                data[i + 2] = b;
+                data[i + 3] = alpha;
+            }
+        }
+        return {width, height, data};
+    }
+}
+
+/**
+ * Compression and decompression of raw DEFLATE streams. Compression uses
+ * only the fixed Huffman codes, with greedy LZ77 matching; this compresses
+ * grid images well, since they have large areas of repeated colours.
+ * 
+ * https://www.rfc-editor.org/rfc/rfc1951
+ */
+namespace Deflate {
+    const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+    
+    const WINDOW_SIZE = 1 << 15;
+    const MAX_MATCH = 258;
+    const HASH_BITS = 15;
+    
+    /**
+     * A canonical Huffman code; `counts[len]` is the number of codes of each
+     * length, and `symbols` are the symbols ordered by code.
+     */
+    type Huffman = Readonly<{counts: readonly number[], symbols: readonly number[]}>
+    
+    function makeHuffman(lengths: readonly number[]): Huffman {
+        const counts = emptyArray(16, 0);
+        for(const len of lengths) { ++counts[len]; }
+        counts[0] = 0;
+        const offsets = [0, 0];
+        for(let len = 1; len < 15; ++len) { offsets.push(offsets[len] + counts[len]); }
+        const symbols: number[] = [];
+        lengths.forEach((len, symbol) => {
+            if(len !== 0) { symbols[offsets[len]++] = symbol; }
+        });
+        return {counts, symbols};
+    }
+    
+    const FIXED_LITERALS = makeHuffman(makeArray(288, i => i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8));
+    const FIXED_DISTANCES = makeHuffman(emptyArray(30, 5));
+    
+    /**
+     * Returns the index of the largest element of `base` which is at most `x`.
+     */
+    function findBase(base: readonly number[], x: number): number {
+        let i = base.length - 1;
+        while(base[i] > x) { --i; }
+        return i;
+    }
+    
+    export function compress(data: Uint8Array): Uint8Array {
+        const out: number[] = [];
+        let bitBuffer = 0, bitCount = 0;
+        function writeBits(value: number, n: number): void {
+            bitBuffer |= value << bitCount;
+            bitCount += n;
+            while(bitCount >= 8) {
+                out.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        }
+        // Huffman codes are packed starting from the most significant bit
+        function writeCode(code: number, n: number): void {
+            let reversed = 0;
+            for(let i = 0; i < n; ++i) {
+                reversed = (reversed << 1) | ((code >> i) & 1);
+            }
+            writeBits(reversed, n);
+        }
+        function writeLiteral(symbol: number): void {
+            if(symbol < 144) { writeCode(0x30 + symbol, 8); }
+            else if(symbol < 256) { writeCode(0x190 + symbol - 144, 9); }
+            else if(symbol < 280) { writeCode(symbol - 256, 7); }
+            else { writeCode(0xC0 + symbol - 280, 8); }
+        }
+        
+        // a single block, with BFINAL = 1 and BTYPE = 1 (fixed Huffman codes)
+        writeBits(1, 1);
+        writeBits(1, 2);
+        
+        const head = new Int32Array(1 << HASH_BITS).fill(-1);
+        const prev = new Int32Array(WINDOW_SIZE);
+        function hash(i: number): number {
+            return ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & ((1 << HASH_BITS) - 1);
+        }
+        function insert(i: number): void {
+            if(i + 2 >= data.length) { return; }
+            const h = hash(i);
+            prev[i & (WINDOW_SIZE - 1)] = head[h];
+            head[h] = i;
+        }
+        
+        let i = 0;
+        while(i < data.length) {
+            // find the longest match among a few recent candidates
+            let bestLength = 0, bestDist = 0;
+            if(i + 2 < data.length) {
+                let candidate = head[hash(i)];
+                for(let tries = 0; tries < 16 && candidate >= 0 && i - candidate <= WINDOW_SIZE; ++tries) {
+                    let len = 0;
+                    const maxLength = Math.min(MAX_MATCH, data.length - i);
+                    while(len < maxLength && data[candidate + len] === data[i + len]) { ++len; }
+                    if(len > bestLength) {
+                        bestLength = len;
+                        bestDist = i - candidate;
+                        if(len === maxLength) { break; }
+                    }
+                    const next = prev[candidate & (WINDOW_SIZE - 1)];
+                    if(next >= candidate) { break; }
+                    candidate = next;
+                }
+            }
+            
+            if(bestLength >= 3) {
+                const lengthCode = findBase(LENGTH_BASE, bestLength);
+                writeLiteral(257 + lengthCode);
+                writeBits(bestLength - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+                const distCode = findBase(DIST_BASE, bestDist);
+                writeCode(distCode, 5);
+                writeBits(bestDist - DIST_BASE[distCode], DIST_EXTRA[distCode]);
+                for(let k = 0; k < bestLength; ++k) { insert(i + k); }
+                i += bestLength;
+            } else {
+                writeLiteral(data[i]);
+                insert(i);
+                ++i;
+            }
+        }
+        writeLiteral(256);
+        if(bitCount > 0) { out.push(bitBuffer & 0xFF); }
+        return Uint8Array.from(out);
+    }
+    
+    export function decompress(data: Uint8Array): Uint8Array {
+        let out = new Uint8Array(Math.max(1024, data.length * 4));
+        let outLength = 0;
+        function emit(b: number): void {
+            if(outLength === out.length) {
+                const bigger = new Uint8Array(out.length * 2);
+                bigger.set(out);
+                out = bigger;
+            }
+            out[outLength++] = b;
+        }
+        
+        let pos = 0, bitBuffer = 0, bitCount = 0;
+        function readBits(n: number): number {
+            while(bitCount < n) {
+                if(pos >= data.length) { throw new Error(`Truncated DEFLATE data`); }
+                bitBuffer |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+            const v = bitBuffer & ((1 << n) - 1);
+            bitBuffer >>>= n;
+            bitCount -= n;
+            return v;
+        }
+        function readSymbol(h: Huffman): number {
+            // https://github.com/madler/zlib/blob/master/contrib/puff/puff.c
+            let code = 0, first = 0, index = 0;
+            for(let len = 1; len < 16; ++len) {
+                code |= readBits(1);
+                const count = h.counts[len];
+                if(code - first < count) { return h.symbols[index + code - first]; }
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error(`Invalid Huffman code`);
+        }
+        
+        let isFinal = false;
+        while(!isFinal) {
+            isFinal = readBits(1) === 1;
+            const type = readBits(2);
+            if(type === 0) {
+                // stored block; discard the remaining bits of the current byte
+                bitBuffer = bitCount = 0;
+                if(pos + 4 > data.length) { throw new Error(`Truncated DEFLATE data`); }
+                const len = data[pos] | (data[pos + 1] << 8);
+                pos += 4;
+                if(pos + len > data.length) { throw new Error(`Truncated DEFLATE data`); }
+                for(let k = 0; k < len; ++k) { emit(data[pos++]); }
+                continue;
+            }
+            
+            let literals = FIXED_LITERALS, distances = FIXED_DISTANCES;
+            if(type === 2) {
+                const numLiterals = readBits(5) + 257;
+                const numDistances = readBits(5) + 1;
+                const numCodeLengths = readBits(4) + 4;
+                const codeLengthLengths = emptyArray(19, 0);
+                for(let k = 0; k < numCodeLengths; ++k) {
+                    codeLengthLengths[CODE_LENGTH_ORDER[k]] = readBits(3);
+                }
+                const codeLengths = makeHuffman(codeLengthLengths);
+                const lengths: number[] = [];
+                while(lengths.length < numLiterals + numDistances) {
+                    const symbol = readSymbol(codeLengths);
+                    if(symbol < 16) {
+                        lengths.push(symbol);
+                    } else if(symbol === 16) {
+                        if(lengths.length === 0) { throw new Error(`Invalid code lengths`); }
+                        const last = lengths[lengths.length - 1];
+                        for(let k = 3 + readBits(2); k > 0; --k) { lengths.push(last); }
+                    } else {
+                        for(let k = symbol === 17 ? 3 + readBits(3) : 11 + readBits(7); k > 0; --k) { lengths.push(0); }
+                    }
+                }
+                literals = makeHuffman(lengths.slice(0, numLiterals));
+                distances = makeHuffman(lengths.slice(numLiterals, numLiterals + numDistances));
+            } else if(type !== 1) {
+                throw new Error(`Invalid DEFLATE block type`);
+            }
+            
+            while(true) {
+                const symbol = readSymbol(literals);
+                if(symbol < 256) {
+                    emit(symbol);
+                } else if(symbol === 256) {
+                    break;
+                } else {
+                    const lengthCode = symbol - 257;
+                    if(lengthCode >= LENGTH_BASE.length) { throw new Error(`Invalid length code`); }
+                    const length = LENGTH_BASE[lengthCode] + readBits(LENGTH_EXTRA[lengthCode]);
+                    const distCode = readSymbol(distances);
+                    if(distCode >= DIST_BASE.length) { throw new Error(`Invalid distance code`); }
+                    const dist = DIST_BASE[distCode] + readBits(DIST_EXTRA[distCode]);
+                    if(dist > outLength) { throw new Error(`Invalid distance ${dist}`); }
+                    for(let k = 0; k < length; ++k) { emit(out[outLength - dist]); }
+                }
+            }
+        }
+        return out.slice(0, outLength);
+    }
+}
@@ -1,15 +1,26 @@
 ///<reference path="dfa.ts"/>
 ///<reference path="display.ts"/>
+///<reference path="program.ts"/>
+///<reference path="random.ts"/>
 
-function runDemo(size: number = 2): void {
-    const GRID_SIZE = (1 << 7) * size;
-    const SPEED = 16 * size * size;
+/**
+ * Returns the width and height of the demo's grid, for the given size.
+ */
+function demoGridSize(size: number): number {
+    return (1 << 7) * size;
+}
+
+/**
+ * Compiles the demo's rules, for a grid of size `demoGridSize(size)`.
+ */
+function makeDemoProgram(size: number = 2): Program {
     const LAKE_SEEDS = 4;
     const LAKE_SIZE = (1 << 12) * size * size;
     const LAND_SEEDS = 32;
     
+    const {rule} = Program;
     const alphabet = IDMap.of('BWREI');
-    const rules = [
+    return new Program(alphabet, [
         // make a few lakes by random growth
         rule('B', 'I', LAKE_SEEDS),
         rule('IB', '*I', LAKE_SIZE - LAKE_SEEDS),
@@ -32,74 +43,50 @@ function runDemo(size: number = 2): void {
         
         // delete water pixels at random, for an animated effect
         rule('I', 'B'),
-    ];
-    
-    type RuleSpec = {
-        patternIn: string,
-        patternOut: string,
-        limit: number | undefined,
-    }
-    function rule(patternIn: string, patternOut: string, limit?: number): RuleSpec {
-        return {patternIn, patternOut, limit};
-    }
-    
-    type Rule = {
-        readonly rewrites: readonly [number, number][],
-        limit: number | undefined,
-    }
-    const patternsIn = IDMap.withKey(Pattern.key);
-    const patternsOut = IDMap.withKey(Pattern.key);
-    const compiledRules = rules.map(spec => {
-        const rewrites: [number, number][] = Symmetry.generate(
-            Pattern.of(alphabet, spec.patternIn),
-            Pattern.of(alphabet, spec.patternOut),
-        ).map(([p, q]) => [
-            patternsIn.getOrCreateID(p),
-            patternsOut.getOrCreateID(q),
-        ]);
-        return {rewrites, limit: spec.limit};
-    });
-    
-    function applyRule(state: MatcherState, rule: Rule): boolean {
-        if(rule.limit !== undefined && rule.limit <= 0) { return false; }
-        
-        const {rewrites} = rule;
-        const counts = rewrites.map(pair => state.countMatches(pair[0]));
-        const totalCount = counts.reduce((a, b) => a + b, 0);
-        
-        if(totalCount === 0) { return false; }
-        
-        let r = rng(totalCount);
-        for(let i = 0; i < counts.length; ++i) {
-            r -= counts[i];
-            if(r < 0) {
-                const [pID, qID] = rewrites[i];
-                const pos = state.getRandomMatch(pID)!;
-                state.grid.setPattern(pos.x, pos.y, patternsOut.getByID(qID));
-                if(rule.limit !== undefined) { --rule.limit; }
-                return true;
-            }
-        }
-        throw new Error();
-    }
-    function step(state: MatcherState, rules: readonly Rule[], k: number): boolean {
-        let changed = false;
-        for(let i = 0; i < k; ++i) {
-            changed = rules.some(r => applyRule(state, r));
-            if(!changed) { break; }
-        }
-        return changed;
-    }
+    ]);
+}
+
+/**
+ * Runs the demo in the current page. If a `seed` is given, then the demo
+ * generates the same grid every time.
+ */
+function runDemo(size: number = 2, seed?: number): void {
+    const GRID_SIZE = demoGridSize(size);
+    const SPEED = 16 * size * size;
     
-    const state = new PatternMatcher(alphabet, patternsIn).makeState(GRID_SIZE, GRID_SIZE);
+    const program = makeDemoProgram(size);
+    const interpreter = program.makeInterpreter(GRID_SIZE, GRID_SIZE, seed !== undefined ? new PRNG(seed) : undefined);
+    const {grid} = interpreter.state;
     
-    const scale = Math.max(1, Math.floor(window.innerHeight / state.grid.height));
-    displayGrid(state.grid, scale);
+    const scale = Math.max(1, Math.floor(window.innerHeight / grid.height));
+    displayGrid(grid, scale);
     
     function frameHandler(): void {
-        if(step(state, compiledRules, SPEED)) {
+        if(interpreter.step(SPEED)) {
             requestAnimationFrame(frameHandler);
         }
     }
     requestAnimationFrame(frameHandler);
 }
+
+/**
+ * Runs the demo in the current page, with the rules running in a Web Worker
+ * so that large grids do not freeze the page. The worker runs `scriptURL`,
+ * which should be the URL of this script.
+ */
+function runDemoInWorker(size: number = 2, seed?: number, scriptURL: string = 'pattern-match-2d.js'): RunnerClient {
+    const GRID_SIZE = demoGridSize(size);
+    const SPEED = 16 * size * size;
+    
+    const client = RunnerClient.forWorker(new Worker(scriptURL), event => {
+        if(event.kind === 'loaded') {
+            const scale = Math.max(1, Math.floor(window.innerHeight / GRID_SIZE));
+            displayGrid(client.grid!, scale);
+            client.resume(SPEED);
+        } else if(event.kind === 'error') {
+            console.error(event.message);
+        }
+    });
+    client.load({kind: 'demo', size}, GRID_SIZE, GRID_SIZE, seed);
+    return client;
+}
@@ -0,0 +1,274 @@
+///<reference path="program.ts"/>
+///<reference path="xml.ts"/>
+
+/**
+ * Loads rule programs from the XML model format used by MarkovJunior.
+ * 
+ * https://github.com/mxgmn/MarkovJunior
+ */
+namespace MarkovJunior {
+    const ROOT_ATTRIBUTES = ['values', 'origin'];
+    const NODE_ATTRIBUTES = ['in', 'out', 'steps', 'symmetry'];
+    const RULE_ATTRIBUTES = ['in', 'out', 'symmetry'];
+    const UNION_ATTRIBUTES = ['symbol', 'values'];
+    const FIELD_ATTRIBUTES = ['for', 'to', 'from', 'on', 'recompute'];
+    const OBSERVE_ATTRIBUTES = ['value', 'from', 'to'];
+    const PATH_ATTRIBUTES = ['from', 'to', 'on', 'color', 'inertia', 'steps'];
+    const CONVOLUTION_ATTRIBUTES = ['neighborhood', 'steps'];
+    const CONVOLUTION_RULE_ATTRIBUTES = ['in', 'out', 'sum', 'values'];
+    
+    /**
+     * The names of the neighbourhoods in MarkovJunior's notation.
+     */
+    const NEIGHBOURHOOD_NAMES: IRecord<string, Neighbourhood> = {
+        Moore: 'moore',
+        VonNeumann: 'vonNeumann',
+    };
+    
+    /**
+     * Parses a MarkovJunior model, and compiles it into a program. The root
+     * element's `values` attribute defines the alphabet, whose first symbol
+     * is the grid's initial contents. `<union>` elements may occur anywhere
+     * in the model, and define symbols which can be used in input patterns
+     * throughout the model. A `symmetry` attribute on a `<markov>` or
+     * `<sequence>` element is the default symmetry for the nodes and rules
+     * inside it.
+     * 
+     * `<observe>` elements in a `<one>` node steer it by backward potentials;
+     * see `ObserveSpec`. MarkovJunior's `search` attribute, and the `limit`
+     * and `depthCoefficient` attributes which go with it, are not supported,
+     * so searching with backtracking is only available through a `search`
+     * node in a `NodeSpec`.
+     */
+    export function load(src: string): Program {
+        const root = XML.parse(src);
+        
+        const {values, origin} = root.attributes;
+        if(values === undefined) {
+            throw new Error(`Root element <${root.name}> has no 'values' attribute`);
+        }
+        const alphabet = IDMap.of(values);
+        if(alphabet.size() !== values.length) {
+            throw new Error(`Duplicate symbol in values="${values}"`);
+        }
+        
+        const unions: Record<string, string> = {};
+        collectUnions(root, unions);
+        for(const symbol in unions) {
+            if(alphabet.has(symbol)) {
+                throw new Error(`Union symbol '${symbol}' is already in values="${values}"`);
+            }
+        }
+        
+        return new Program(alphabet, toNodeSpec(root, undefined, ROOT_ATTRIBUTES), {
+            origin: parseBool(origin ?? 'False'),
+            unions,
+        });
+    }
+    
+    function collectUnions(element: XML.Element, unions: Record<string, string>): void {
+        for(const child of element.children) {
+            if(child.name === 'union') {
+                checkAttributes(child, UNION_ATTRIBUTES);
+                const {symbol, values} = child.attributes;
+                if(symbol === undefined || symbol.length !== 1 || values === undefined) {
+                    throw new Error(`<union> must have a single-character 'symbol' and 'values'`);
+                } else if(symbol in unions) {
+                    throw new Error(`Duplicate union symbol '${symbol}'`);
+                }
+                unions[symbol] = values;
+            } else {
+                collectUnions(child, unions);
+            }
+        }
+    }
+    
+    /**
+     * Returns the child elements which are nodes or rules; `<union>` elements
+     * are handled separately.
+     */
+    function childElements(element: XML.Element): readonly XML.Element[] {
+        return element.children.filter(child => child.name !== 'union');
+    }
+    
+    /**
+     * Converts a node element; `inheritedSymmetry` is the `symmetry` attribute
+     * of the nearest enclosing `<markov>` or `<sequence>` which has one.
+     */
+    function toNodeSpec(element: XML.Element, inheritedSymmetry: string | undefined, extraAttributes: readonly string[] = []): NodeSpec {
+        const {name, attributes} = element;
+        const children = childElements(element);
+        switch(name) {
+            case 'one':
+            case 'all':
+            case 'prl': {
+                if(attributes.search !== undefined) {
+                    throw new Error(`Unsupported attribute 'search' in <${name}>; use a 'search' node in a NodeSpec instead`);
+                }
+                checkAttributes(element, [...NODE_ATTRIBUTES, ...(name === 'one' ? ['temperature'] : []), ...extraAttributes]);
+                const symmetry = attributes.symmetry ?? inheritedSymmetry;
+                // fields and observations are only supported in <one> nodes
+                const fields = name === 'one' ? children.filter(child => child.name === 'field').map(toFieldSpec) : [];
+                const observations = name === 'one' ? children.filter(child => child.name === 'observe').map(toObserveSpec) : [];
+                const rules = children.filter(child => name !== 'one' || (child.name !== 'field' && child.name !== 'observe')).map(child => {
+                    if(child.name !== 'rule') {
+                        throw new Error(`Unexpected <${child.name}> in <${name}>`);
+                    }
+                    checkAttributes(child, RULE_ATTRIBUTES);
+                    return toRuleSpec(child, child.attributes.symmetry ?? symmetry);
+                });
+                if(attributes.in !== undefined || attributes.out !== undefined) {
+                    rules.unshift(toRuleSpec(element, symmetry));
+                }
+                if(rules.length === 0) {
+                    throw new Error(`<${name}> has no rules`);
+                }
+                const limit = attributes.steps !== undefined ? parseInteger(attributes.steps) : undefined;
+                if(name === 'one') {
+                    const temperature = attributes.temperature !== undefined ? parseNumber(attributes.temperature) : undefined;
+                    return {kind: name, rules, limit, fields, observations, temperature};
+                }
+                return {kind: name, rules, limit};
+            }
+            case 'path': {
+                checkAttributes(element, [...PATH_ATTRIBUTES, ...extraAttributes]);
+                const {from, to, on, color, inertia, steps} = attributes;
+                if(from === undefined || to === undefined || on === undefined || color === undefined) {
+                    throw new Error(`<path> must have 'from', 'to', 'on' and 'color' attributes`);
+                } else if(children.length > 0) {
+                    throw new Error(`Unexpected <${children[0].name}> in <path>`);
+                }
+                return {
+                    kind: name,
+                    from,
+                    to,
+                    on,
+                    color,
+                    inertia: parseBool(inertia ?? 'False'),
+                    limit: steps !== undefined ? parseInteger(steps) : undefined,
+                };
+            }
+            case 'convolution': {
+                checkAttributes(element, [...CONVOLUTION_ATTRIBUTES, ...extraAttributes]);
+                const neighbourhood = NEIGHBOURHOOD_NAMES[attributes.neighborhood ?? ''];
+                if(neighbourhood === undefined) {
+                    throw new Error(`<convolution> must have 'neighborhood' of 'Moore' or 'VonNeumann'`);
+                }
+                const rules = children.flatMap(child => {
+                    if(child.name !== 'rule') {
+                        throw new Error(`Unexpected <${child.name}> in <${name}>`);
+                    }
+                    checkAttributes(child, CONVOLUTION_RULE_ATTRIBUTES);
+                    return toConvolutionRuleSpecs(child);
+                });
+                if(rules.length === 0) {
+                    throw new Error(`<${name}> has no rules`);
+                }
+                const limit = attributes.steps !== undefined ? parseInteger(attributes.steps) : undefined;
+                return {kind: name, rules, neighbourhood, limit};
+            }
+            case 'markov':
+            case 'sequence': {
+                checkAttributes(element, ['symmetry', ...extraAttributes]);
+                const symmetry = attributes.symmetry ?? inheritedSymmetry;
+                return {kind: name, children: children.map(child => toNodeSpec(child, symmetry))};
+            }
+            default: {
+                throw new Error(`Unsupported node <${name}>`);
+            }
+        }
+    }
+    
+    function toRuleSpec(element: XML.Element, symmetry: string | undefined): RuleSpec {
+        const {in: patternIn, out: patternOut} = element.attributes;
+        if(patternIn === undefined || patternOut === undefined) {
+            throw new Error(`<${element.name}> must have both 'in' and 'out' attributes`);
+        }
+        return {
+            patternIn,
+            patternOut,
+            symmetry: symmetry !== undefined ? Symmetry.fromMarkovJuniorName(symmetry) : undefined,
+        };
+    }
+    
+    /**
+     * Converts a `<field>` element; a field `from` some symbols is inversed,
+     * so that matches are chosen to move away from them.
+     */
+    function toFieldSpec(element: XML.Element): FieldSpec {
+        checkAttributes(element, FIELD_ATTRIBUTES);
+        const {for: symbol, to, from, on, recompute} = element.attributes;
+        if(symbol === undefined || on === undefined || (to === undefined) === (from === undefined)) {
+            throw new Error(`<field> must have 'for' and 'on' attributes, and one of 'to' or 'from'`);
+        }
+        return {
+            for: symbol,
+            to: to ?? from!,
+            on,
+            inversed: from !== undefined,
+            recompute: parseBool(recompute ?? 'False'),
+        };
+    }
+    
+    function toObserveSpec(element: XML.Element): ObserveSpec {
+        checkAttributes(element, OBSERVE_ATTRIBUTES);
+        const {value, from, to} = element.attributes;
+        if(value === undefined || to === undefined) {
+            throw new Error(`<observe> must have 'value' and 'to' attributes`);
+        }
+        return {value, from, to};
+    }
+    
+    /**
+     * Converts a convolution rule to one rule for each range in its `sum`
+     * attribute, e.g. `sum="0..1,4..8"`; since the first rule which applies
+     * to a cell is used, these rules are equivalent to the original rule.
+     */
+    function toConvolutionRuleSpecs(element: XML.Element): ConvolutionRuleSpec[] {
+        const {in: input, out: output, sum, values} = element.attributes;
+        if(input === undefined || output === undefined) {
+            throw new Error(`<${element.name}> must have both 'in' and 'out' attributes`);
+        } else if(sum === undefined) {
+            return [{input, output, values: values ?? ''}];
+        } else if(values === undefined) {
+            throw new Error(`<${element.name}> with 'sum' must have 'values'`);
+        }
+        return sum.split(',').map(range => {
+            const bounds = range.split('..').map(parseInteger);
+            if(bounds.length > 2) { throw new Error(`Invalid sum="${sum}"`); }
+            return {input, output, values, min: bounds[0], max: bounds[bounds.length - 1]};
+        });
+    }
+    
+    function checkAttributes(element: XML.Element, allowed: readonly string[]): void {
+        for(const k in element.attributes) {
+            if(!allowed.includes(k)) {
+                throw new Error(`Unsupported attribute '${k}' in <${element.name}>`);
+            }
+        }
+    }
+    
+    function parseBool(s: string): boolean {
+        switch(s) {
+            case 'True': case 'true': return true;
+            case 'False': case 'false': return false;
+            default: throw new Error(`Expected 'True' or 'False', was '${s}'`);
+        }
+    }
+    
+    function parseNumber(s: string): number {
+        const n = Number(s);
+        if(s === '' || !Number.isFinite(n) || n < 0) {
+            throw new Error(`Expected a non-negative number, was '${s}'`);
+        }
+        return n;
+    }
+    
+    function parseInteger(s: string): number {
+        const n = Number(s);
+        if(!Number.isInteger(n) || n < 0) {
+            throw new Error(`Expected a non-negative integer, was '${s}'`);
+        }
+        return n;
+    }
+}
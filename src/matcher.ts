@@ -1,3 +1,29 @@
+/**
+ * The maximum number of compiled matchers kept by `PatternMatcher.of`.
+ */
+const MATCHER_CACHE_SIZE = 16;
+
+/**
+ * The version of the format returned by `PatternMatcher.toJSON`. This must be
+ * incremented whenever the format or the compilation of matchers changes.
+ */
+const MATCHER_DATA_VERSION = 1;
+
+/**
+ * A compiled matcher in a form which can be serialized as JSON; see
+ * `PatternMatcher.toJSON`.
+ */
+type PatternMatcherData = Readonly<{
+    version: number,
+    /**
+     * A hash of the alphabet and patterns which the matcher was compiled for.
+     */
+    hash: string,
+    rowDFA: DFAData,
+    colDFA: DFAData,
+    acceptSetDiffs: readonly (readonly number[])[],
+}>
+
 /**
  * Builds a pair of DFAs which can be used to match 2D patterns. The `rowDFA`
  * recognises pattern rows, and the `colDFA` recognises sequences of pattern
@@ -7,6 +33,58 @@
  * matches are reported where the patterns start rather than where they end.
  */
 class PatternMatcher {
+    /**
+     * Recently-used matchers, keyed by alphabet and pattern set; see `PatternMatcher.of`.
+     */
+    private static readonly cache = new Map<string, PatternMatcher>();
+    
+    /**
+     * Returns a matcher for the given patterns, with pattern IDs in order of
+     * first occurrence. Compiling the DFAs is expensive, so recently-used
+     * matchers are cached, and a cached matcher is returned if one exists for
+     * the same alphabet and patterns in the same order.
+     */
+    public static of(alphabet: IDMap<string>, patterns: Iterable<Pattern>): PatternMatcher {
+        const {cache} = PatternMatcher;
+        const patternMap = IDMap.ofWithKey(patterns, Pattern.key);
+        const key = PatternMatcher.key(alphabet, patternMap);
+        
+        let matcher = cache.get(key);
+        if(matcher !== undefined) {
+            // move to the end, so that the least recently-used matcher is evicted first
+            cache.delete(key);
+        } else {
+            matcher = new PatternMatcher(alphabet, patternMap);
+            if(cache.size >= MATCHER_CACHE_SIZE) {
+                cache.delete(cache.keys().next().value);
+            }
+        }
+        cache.set(key, matcher);
+        return matcher;
+    }
+    
+    /**
+     * Reconstructs a matcher from data returned by `toJSON`, without
+     * recompiling its DFAs. The alphabet and patterns must be the same as
+     * those which the matcher was compiled for, in the same order; otherwise,
+     * or if the data is from an incompatible version, an error is thrown.
+     */
+    public static fromJSON(alphabet: IDMap<string>, patterns: Iterable<Pattern>, data: PatternMatcherData): PatternMatcher {
+        return new PatternMatcher(alphabet, IDMap.ofWithKey(patterns, Pattern.key), data);
+    }
+    
+    /**
+     * Returns a string identifying an alphabet and a list of patterns.
+     */
+    private static key(alphabet: IDMap<string>, patterns: IDMap<Pattern>): string {
+        return JSON.stringify([alphabet.map(s => s), patterns.map(Pattern.key)]);
+    }
+    
+    /**
+     * The patterns recognised by this matcher.
+     */
+    public readonly patterns: IDMap<Pattern>;
+    
     /**
      * The number of patterns recognised by this matcher.
      */
@@ -22,6 +100,16 @@ class PatternMatcher {
      */
     public readonly colDFA: DFA;
     
+    /**
+     * The maximum width of any pattern recognised by this matcher.
+     */
+    public readonly maxPatternWidth: number;
+    
+    /**
+     * The maximum height of any pattern recognised by this matcher.
+     */
+    public readonly maxPatternHeight: number;
+    
     private readonly acceptSetMapSize: number;
     private readonly acceptSetDiffs: readonly (readonly number[])[];
     
@@ -31,27 +119,55 @@ class PatternMatcher {
          */
         public readonly alphabet: IDMap<string>,
         patterns: IDMap<Pattern>,
+        /**
+         * Precompiled data from `toJSON`; if given, it is used instead of
+         * compiling the DFAs.
+         */
+        data?: PatternMatcherData,
     ) {
+        // copy the patterns, in case the caller adds more
+        this.patterns = IDMap.ofWithKey(patterns.map(p => p), Pattern.key);
         const numPatterns = this.numPatterns = patterns.size();
+        this.maxPatternWidth = Math.max(0, ...patterns.map(p => p.width));
+        this.maxPatternHeight = Math.max(0, ...patterns.map(p => p.height));
+        
+        if(data !== undefined) {
+            if(data.version !== MATCHER_DATA_VERSION) {
+                throw new Error(`Unsupported matcher data version ${data.version}, expected ${MATCHER_DATA_VERSION}`);
+            } else if(data.hash !== hashString(PatternMatcher.key(alphabet, patterns))) {
+                throw new Error(`Matcher data was compiled for a different alphabet or patterns`);
+            }
+            
+            const {rowDFA, colDFA, acceptSetDiffs} = data;
+            const k = colDFA.acceptSets.length;
+            if(rowDFA.alphabetSize !== alphabet.size() || colDFA.alphabetSize !== rowDFA.acceptSets.length || colDFA.acceptCount !== numPatterns || acceptSetDiffs.length !== k * k) {
+                throw new Error(`Invalid matcher data`);
+            } else if(!acceptSetDiffs.every(diff => diff.every(id => Number.isInteger(id) && id >= 0 && id < numPatterns))) {
+                throw new Error(`Invalid matcher data: pattern IDs out of range`);
+            }
+            this.rowDFA = DFA.fromJSON(rowDFA);
+            this.colDFA = DFA.fromJSON(colDFA);
+            this.acceptSetMapSize = k;
+            this.acceptSetDiffs = acceptSetDiffs;
+            return;
+        }
         
         const rowPatterns = IDMap.ofWithKey(patterns.map(p => p.rows()).flat(), Pattern.key);
         const rowRegex = Regex.concat([
             Regex.kleeneStar(Regex.wildcard()),
             Regex.union(
                 rowPatterns.map((row, rowID) => Regex.concat([
-                    Regex.concat(row.rasterData.map(c => c < 0 ? Regex.wildcard() : Regex.letters([c])).reverse()),
+                    Regex.concat(row.rasterData.map((c, i) => {
+                        const letterIDs = row.getLetterIDs(i);
+                        return letterIDs !== undefined ? Regex.letters(letterIDs) : Regex.wildcard();
+                    }).reverse()),
                     Regex.accept(rowID),
                 ]))
             ),
         ]);
         this.rowDFA = Regex.compile(alphabet.size(), rowPatterns.size(), rowRegex);
         
-        const acceptingSets: number[][] = makeArray(rowPatterns.size(), () => []);
-        this.rowDFA.acceptSetMap.forEach((xs, id) => {
-            for(const x of xs) {
-                acceptingSets[x].push(id);
-            }
-        });
+        const acceptingSets = getAcceptingSets(this.rowDFA);
         
         const colRegex = Regex.concat([
             Regex.kleeneStar(Regex.wildcard()),
@@ -68,16 +184,8 @@ class PatternMatcher {
         this.colDFA = Regex.compile(this.rowDFA.acceptSetMap.size(), numPatterns, colRegex);
         
         // precompute set differences, so that new/broken matches can be iterated in O(1) time per match
-        const {acceptSetMap} = this.colDFA;
-        this.acceptSetMapSize = acceptSetMap.size();
-        const diffs: (readonly number[])[] = this.acceptSetDiffs = [];
-        acceptSetMap.forEach(q => {
-            const qSet = ISet.of(numPatterns, q);
-            acceptSetMap.forEach(p => {
-                const arr = p.filter(x => !ISet.has(qSet, x));
-                diffs.push(arr);
-            });
-        });
+        this.acceptSetMapSize = this.colDFA.acceptSetMap.size();
+        this.acceptSetDiffs = getAcceptSetDiffs(this.colDFA);
     }
     
     public getAcceptSetDiff(pState: number, qState: number): readonly number[] {
@@ -86,43 +194,177 @@ class PatternMatcher {
         return this.acceptSetDiffs[pID + k * qID];
     }
     
-    public makeState(width: number, height: number): MatcherState {
-        return new MatcherState(this, width, height);
+    public makeState(width: number, height: number, topology?: Topology): MatcherState {
+        return new MatcherState(this, width, height, topology);
+    }
+    
+    /**
+     * Returns this matcher's compiled DFAs, in a form which can be
+     * serialized as JSON and loaded by `PatternMatcher.fromJSON`.
+     */
+    public toJSON(): PatternMatcherData {
+        return {
+            version: MATCHER_DATA_VERSION,
+            hash: hashString(PatternMatcher.key(this.alphabet, this.patterns)),
+            rowDFA: this.rowDFA.toJSON(),
+            colDFA: this.colDFA.toJSON(),
+            acceptSetDiffs: this.acceptSetDiffs,
+        };
     }
 }
 
+/**
+ * Returns an array mapping each accept ID of the given DFA to the IDs of the
+ * accept sets which contain it.
+ */
+function getAcceptingSets(dfa: DFA): number[][] {
+    const acceptingSets: number[][] = makeArray(dfa.acceptCount, () => []);
+    dfa.acceptSetMap.forEach((xs, id) => {
+        for(const x of xs) {
+            acceptingSets[x].push(id);
+        }
+    });
+    return acceptingSets;
+}
+
+/**
+ * Returns the differences between each pair of the given DFA's accept sets;
+ * the set difference `p \ q` is at index `pID + k * qID`, where `k` is the
+ * number of accept sets.
+ */
+function getAcceptSetDiffs(dfa: DFA): (readonly number[])[] {
+    const {acceptSetMap} = dfa;
+    const diffs: (readonly number[])[] = [];
+    acceptSetMap.forEach(q => {
+        const qSet = ISet.of(dfa.acceptCount, q);
+        acceptSetMap.forEach(p => {
+            const arr = p.filter(x => !ISet.has(qSet, x));
+            diffs.push(arr);
+        });
+    });
+    return diffs;
+}
+
+/**
+ * Whether a match was added to or removed from the grid.
+ */
+type MatchChangeKind = 'added' | 'removed'
+
+type MatchChangeListener = (patternID: number, x: number, y: number, kind: MatchChangeKind) => void
+
 class MatcherState {
     public readonly grid: Grid;
     
+    /**
+     * The matcher currently used by this state; see `setMatcher`.
+     */
+    private _matcher!: PatternMatcher;
+    
     /**
      * Maps each `grid.index(x, y)` to the row-DFA state at (x, y).
      */
-    private readonly rowStates: UintArray;
+    private rowStates!: UintArray;
     /**
      * Maps each `grid.index(x, y)` to the column-DFA state at (x, y).
      */
-    private readonly colStates: UintArray;
+    private colStates!: UintArray;
     
     /**
      * Maps each pattern ID to the set of indices `grid.index(x, y)` where that pattern is matched at (x, y).
      * 
      * Invariant: `matchIndices[p].has(i)` if and only if `matcher.colDFA` accepts `p` at state `colStates[i]`
      */
-    private readonly matchIndices: SampleableSet<number>[];
+    private matchIndices!: SampleableSet<number>[];
+    
+    /**
+     * Listeners which will be notified of changes to the matches of every
+     * pattern. The array is replaced rather than modified when a listener is
+     * removed, so that it can be removed while the listeners are notified.
+     */
+    private onMatchChange: MatchChangeListener[] = [];
+    
+    /**
+     * Maps each pattern ID to the listeners which will be notified of changes
+     * to that pattern's matches; the arrays are replaced in the same way.
+     */
+    private readonly onPatternChange = new Map<number, MatchChangeListener[]>();
+    
+    /**
+     * The changes found by `recompute` which listeners have not yet been
+     * notified of, as triples of pattern ID, grid index, and 1 if the match
+     * was added or 0 if it was removed. Changes are only collected while
+     * there are listeners.
+     */
+    private readonly pendingChanges: number[] = [];
+    
+    /**
+     * Indicates whether listeners are currently being notified; see
+     * `notifyChanges`.
+     */
+    private notifying: boolean = false;
     
     public constructor(
-        public readonly matcher: PatternMatcher,
+        matcher: PatternMatcher,
         width: number,
         height: number,
+        topology: Topology = {},
     ) {
+        const grid = this.grid = new Grid(matcher.alphabet, width, height, topology);
+        this.setMatcher(matcher);
+        grid.listen(this.recompute.bind(this));
+    }
+    
+    public get matcher(): PatternMatcher {
+        return this._matcher;
+    }
+    
+    /**
+     * Replaces the matcher used by this state, keeping the grid's contents.
+     * The matches are recomputed for the new matcher's patterns, in O(n)
+     * time where n is the area of the grid. The new matcher must have the
+     * same alphabet. Listeners are not notified of the recomputed matches,
+     * and listeners for particular patterns remain registered by pattern ID.
+     */
+    public setMatcher(matcher: PatternMatcher): void {
+        const {grid} = this;
+        const {alphabet} = grid;
+        if(matcher.alphabet.size() !== alphabet.size() || alphabet.map((s, id) => matcher.alphabet.getIDOrDefault(s) === id).includes(false)) {
+            throw new Error(`Matcher's alphabet does not match the grid's`);
+        }
+        
+        const {width, height} = grid;
         const n = width * height;
+        this._matcher = matcher;
         this.rowStates = makeUintArray(n, matcher.rowDFA.size());
         this.colStates = makeUintArray(n, matcher.colDFA.size());
         this.matchIndices = makeArray(matcher.numPatterns, () => new SampleableSet(n));
-        
-        const grid = this.grid = new Grid(matcher.alphabet, width, height);
-        grid.listen(this.recompute.bind(this));
-        this.recompute(0, 0, width, height);
+        this.recompute(0, 0, width, height, false);
+    }
+    
+    /**
+     * Adds patterns to be recognised by this state, by switching to a matcher
+     * for the current and new patterns; see `PatternMatcher.of`. The existing
+     * patterns keep their IDs, and the new patterns are assigned the next IDs
+     * in order. Returns the new matcher.
+     */
+    public addPatterns(patterns: Iterable<Pattern>): PatternMatcher {
+        const matcher = PatternMatcher.of(this.grid.alphabet, [...this.matcher.patterns.map(p => p), ...patterns]);
+        this.setMatcher(matcher);
+        return matcher;
+    }
+    
+    /**
+     * Removes patterns from those recognised by this state, by switching to
+     * a matcher for the remaining patterns; see `PatternMatcher.of`. The
+     * remaining patterns are renumbered in order, so their IDs should be
+     * looked up in the returned matcher's `patterns`.
+     */
+    public removePatterns(patterns: Iterable<Pattern>): PatternMatcher {
+        const removed = new Set([...patterns].map(Pattern.key));
+        const remaining = this.matcher.patterns.map(p => p).filter(p => !removed.has(Pattern.key(p)));
+        const matcher = PatternMatcher.of(this.grid.alphabet, remaining);
+        this.setMatcher(matcher);
+        return matcher;
     }
     
     /**
@@ -133,43 +375,182 @@ class MatcherState {
     }
     
     /**
-     * Returns the coordinates of a random match of the given pattern, in O(1) time,
-     * or `undefined` if there are no matches.
+     * Indicates whether the given pattern matches at (x, y), in O(1) time.
+     */
+    public hasMatch(patternID: number, x: number, y: number): boolean {
+        return this.matchIndices[patternID].has(this.grid.index(x, y));
+    }
+    
+    /**
+     * Returns the coordinates of every match of the given pattern, in no
+     * particular order, in O(m) time where m is the number of matches.
+     */
+    public getMatches(patternID: number): {x: number, y: number}[] {
+        return this.matchIndices[patternID].toArray().map(index => this.toCoords(index));
+    }
+    
+    /**
+     * Calls the function `f` for every match of every pattern, in no
+     * particular order, in O(p + m) time where p is the number of patterns
+     * and m is the number of matches. The grid must not be modified during
+     * the iteration.
+     */
+    public forEachMatch(f: (patternID: number, x: number, y: number) => void): void {
+        const {width} = this.grid;
+        this.matchIndices.forEach((set, patternID) => set.forEach(index => {
+            f(patternID, index % width, Math.floor(index / width));
+        }));
+    }
+    
+    /**
+     * Returns the IDs of the patterns which match at (x, y), in O(1) time.
      */
-    public getRandomMatch(patternID: number): {x: number, y: number} | undefined {
-        const index = this.matchIndices[patternID].sample();
-        if(index !== undefined) {
-            const {width} = this.grid;
-            return {
-                x: index % width,
-                y: Math.floor(index / width),
-            };
+    public getPatternsAt(x: number, y: number): readonly number[] {
+        return this.matcher.colDFA.getAcceptIDs(this.colStates[this.grid.index(x, y)]);
+    }
+    
+    /**
+     * Returns the coordinates of every match of the given pattern in the
+     * rectangular area from startX/Y (inclusive) to endX/Y (exclusive), in
+     * O(min(a, m)) time where a is the area and m is the total number of
+     * matches of the pattern.
+     */
+    public getMatchesInRect(patternID: number, startX: number, startY: number, endX: number, endY: number): {x: number, y: number}[] {
+        const set = this.matchIndices[patternID];
+        const out: {x: number, y: number}[] = [];
+        if(set.size() < (endX - startX) * (endY - startY)) {
+            set.forEach(index => {
+                const pos = this.toCoords(index);
+                if(pos.x >= startX && pos.x < endX && pos.y >= startY && pos.y < endY) {
+                    out.push(pos);
+                }
+            });
         } else {
-            return undefined;
+            for(let y = startY; y < endY; ++y) {
+                for(let x = startX; x < endX; ++x) {
+                    if(set.has(this.grid.index(x, y))) { out.push({x, y}); }
+                }
+            }
+        }
+        return out;
+    }
+    
+    /**
+     * Calls the function `f` for every match of every pattern in the
+     * rectangular area from startX/Y (inclusive) to endX/Y (exclusive), in
+     * O(a + m) time where a is the area and m is the number of matches in it.
+     * The grid must not be modified during the iteration.
+     */
+    public forEachMatchInRect(startX: number, startY: number, endX: number, endY: number, f: (patternID: number, x: number, y: number) => void): void {
+        for(let y = startY; y < endY; ++y) {
+            for(let x = startX; x < endX; ++x) {
+                for(const patternID of this.getPatternsAt(x, y)) {
+                    f(patternID, x, y);
+                }
+            }
         }
     }
     
+    /**
+     * Returns the coordinates of a random match of the given pattern, in O(1) time,
+     * or `undefined` if there are no matches.
+     */
+    public getRandomMatch(patternID: number, rand: RNG = MATH_RANDOM): {x: number, y: number} | undefined {
+        const index = this.matchIndices[patternID].sample(rand);
+        return index !== undefined ? this.toCoords(index) : undefined;
+    }
+    
+    /**
+     * Registers a callback function, which will be called for each match of
+     * any pattern which is added to or removed from the grid. Returns a
+     * function which unregisters the callback.
+     * 
+     * Listeners are called after the state has been updated for a change to
+     * the grid, so they may query the state or change the grid; the matches
+     * added or removed by one change are reported in O(m) time, where m is
+     * the number of them. Changes are always reported in the order they were
+     * made; if a listener changes the grid, the resulting changes are
+     * reported after those which were already pending, so a listener may be
+     * notified of a match which a later change has already removed.
+     */
+    public listen(f: MatchChangeListener): () => void {
+        this.onMatchChange = [...this.onMatchChange, f];
+        return () => {
+            this.onMatchChange = this.onMatchChange.filter(g => g !== f);
+        };
+    }
+    
+    /**
+     * Registers a callback function, which will be called for each match of
+     * the given pattern which is added to or removed from the grid; see
+     * `listen`. Returns a function which unregisters the callback.
+     */
+    public listenPattern(patternID: number, f: MatchChangeListener): () => void {
+        const {onPatternChange} = this;
+        onPatternChange.set(patternID, [...onPatternChange.get(patternID) ?? [], f]);
+        return () => {
+            const listeners = onPatternChange.get(patternID)?.filter(g => g !== f) ?? [];
+            if(listeners.length > 0) {
+                onPatternChange.set(patternID, listeners);
+            } else {
+                onPatternChange.delete(patternID);
+            }
+        };
+    }
+    
+    /**
+     * Converts a grid index to coordinates; inverse of `grid.index(x, y)`.
+     */
+    private toCoords(index: number): {x: number, y: number} {
+        const {width} = this.grid;
+        return {
+            x: index % width,
+            y: Math.floor(index / width),
+        };
+    }
+    
     /**
      * Updates the state to account for changes in the rectangular area from
-     * startX/Y (inclusive) to endX/Y (exclusive).
+     * startX/Y (inclusive) to endX/Y (exclusive). If `notify` is true and
+     * there are listeners, they are notified of the new and broken matches.
      */
-    private recompute(startX: number, startY: number, endX: number, endY: number): void {
+    private recompute(startX: number, startY: number, endX: number, endY: number, notify: boolean = true): void {
         const {matcher, grid, rowStates, colStates, matchIndices} = this;
         const {rowDFA, colDFA} = matcher;
-        const {width, height} = grid;
+        const {width, height, periodicX, periodicY} = grid;
+        const changes = notify && (this.onMatchChange.length > 0 || this.onPatternChange.size > 0) ? this.pendingChanges : undefined;
         
         // the pattern matching is done in reverse, for convenience so that
         // matches are accepted where the patterns start rather than where they end
         
+        // the grid only holds valid letter IDs and the arrays only hold valid
+        // states, so the DFAs' unchecked transitions are safe here
+        
+        // if the grid is periodic, the scans wrap around, so coordinates may
+        // be negative; `grid.index` takes care of this. The DFA state at (x, y)
+        // depends only on the cells which a pattern starting at (x, y) could
+        // cover, so a wrapped scan starts with enough of those cells to bring
+        // the DFA into the correct state, and then covers each cell at most once
+        
         // recompute rowStates
         let minChangedX = startX;
         for(let y = startY; y < endY; ++y) {
-            let state = endX === width ? 0 : rowStates[grid.index(endX, y)];
-            for(let x = endX - 1; x >= 0; --x) {
+            let state: number, minX: number;
+            if(periodicX) {
+                state = 0;
+                for(let x = endX + matcher.maxPatternWidth - 2; x >= endX; --x) {
+                    state = rowDFA.goUnchecked(state, grid.grid[grid.index(x, y)]);
+                }
+                minX = endX - width;
+            } else {
+                state = endX === width ? 0 : rowStates[grid.index(endX, y)];
+                minX = 0;
+            }
+            for(let x = endX - 1; x >= minX; --x) {
                 // O(1) time per iteration
                 
                 const index = grid.index(x, y);
-                state = rowDFA.go(state, grid.grid[index]);
+                state = rowDFA.goUnchecked(state, grid.grid[index]);
                 if(state !== rowStates[index]) {
                     rowStates[index] = state;
                     minChangedX = Math.min(minChangedX, x);
@@ -181,13 +562,23 @@ class MatcherState {
         
         // recompute colStates
         for(let x = minChangedX; x < endX; ++x) {
-            let state = endY === height ? 0 : colStates[grid.index(x, endY)];
-            for(let y = endY - 1; y >= 0; --y) {
+            let state: number, minY: number;
+            if(periodicY) {
+                state = 0;
+                for(let y = endY + matcher.maxPatternHeight - 2; y >= endY; --y) {
+                    state = colDFA.goUnchecked(state, rowDFA.getAcceptSetID(rowStates[grid.index(x, y)]));
+                }
+                minY = endY - height;
+            } else {
+                state = endY === height ? 0 : colStates[grid.index(x, endY)];
+                minY = 0;
+            }
+            for(let y = endY - 1; y >= minY; --y) {
                 // O(m + 1) time per iteration, where m is the number of new + broken matches
                 
                 const index = grid.index(x, y);
                 const acceptSetID = rowDFA.getAcceptSetID(rowStates[index]);
-                state = colDFA.go(state, acceptSetID);
+                state = colDFA.goUnchecked(state, acceptSetID);
                 const oldState = colStates[index];
                 if(state !== oldState) {
                     colStates[index] = state;
@@ -195,15 +586,47 @@ class MatcherState {
                     // remove broken matches
                     for(const acceptID of matcher.getAcceptSetDiff(oldState, state)) {
                         matchIndices[acceptID].delete(index);
+                        changes?.push(acceptID, index, 0);
                     }
                     // add new matches
                     for(const acceptID of matcher.getAcceptSetDiff(state, oldState)) {
                         matchIndices[acceptID].add(index);
+                        changes?.push(acceptID, index, 1);
                     }
                 } else if(y < startY) {
                     break;
                 }
             }
         }
+        
+        if(changes !== undefined && changes.length > 0) { this.notifyChanges(); }
+    }
+    
+    /**
+     * Notifies listeners of the pending changes. If a listener changes the
+     * grid, this is called again while listeners are being notified; then the
+     * new changes are left in the queue, for the outer call to report in order.
+     */
+    private notifyChanges(): void {
+        if(this.notifying) { return; }
+        this.notifying = true;
+        const changes = this.pendingChanges;
+        try {
+            // `changes` may grow while listeners are notified
+            for(let i = 0; i < changes.length; i += 3) {
+                const patternID = changes[i];
+                const {x, y} = this.toCoords(changes[i + 1]);
+                const kind: MatchChangeKind = changes[i + 2] === 1 ? 'added' : 'removed';
+                for(const f of this.onMatchChange) {
+                    f(patternID, x, y, kind);
+                }
+                for(const f of this.onPatternChange.get(patternID) ?? []) {
+                    f(patternID, x, y, kind);
+                }
+            }
+        } finally {
+            changes.length = 0;
+            this.notifying = false;
+        }
     }
 }
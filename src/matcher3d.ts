@@ -0,0 +1,273 @@
+///<reference path="grid3d.ts"/>
+///<reference path="matcher.ts"/>
+
+/**
+ * Builds three DFAs which can be used to match 3D patterns. The `rowDFA` and
+ * `colDFA` recognise the layers of patterns, as in a `PatternMatcher`, and
+ * the `layerDFA` recognises sequences of layers matched by the `colDFA`.
+ * 
+ * The DFAs recognise the patterns in reverse order, for convenience so that
+ * matches are reported where the patterns start rather than where they end.
+ */
+class PatternMatcher3D {
+    /**
+     * The number of patterns recognised by this matcher.
+     */
+    public readonly numPatterns: number;
+    
+    /**
+     * The DFA which recognises rows of patterns.
+     */
+    public readonly rowDFA: DFA;
+    
+    /**
+     * The DFA which recognises sequences of matches from `rowDFA`, i.e.
+     * layers of patterns.
+     */
+    public readonly colDFA: DFA;
+    
+    /**
+     * The DFA which recognises sequences of matches from `colDFA`.
+     */
+    public readonly layerDFA: DFA;
+    
+    private readonly acceptSetMapSize: number;
+    private readonly acceptSetDiffs: readonly (readonly number[])[];
+    
+    public constructor(
+        /**
+         * The alphabet of symbols which can appear in patterns recognised by this matcher.
+         */
+        public readonly alphabet: IDMap<string>,
+        patterns: IDMap<Pattern3D>,
+    ) {
+        const numPatterns = this.numPatterns = patterns.size();
+        
+        const layerPatterns = IDMap.ofWithKey(patterns.map(p => p.layers()).flat(), Pattern.key);
+        const layerMatcher = new PatternMatcher(alphabet, layerPatterns);
+        this.rowDFA = layerMatcher.rowDFA;
+        this.colDFA = layerMatcher.colDFA;
+        
+        const acceptingSets = getAcceptingSets(this.colDFA);
+        const layerRegex = Regex.concat([
+            Regex.kleeneStar(Regex.wildcard()),
+            Regex.union(
+                patterns.map((pattern, patternID) => Regex.concat([
+                    Regex.concat(pattern.layers().map(layer => {
+                        const layerID = layerPatterns.getID(layer);
+                        return Regex.letters(acceptingSets[layerID]);
+                    }).reverse()),
+                    Regex.accept(patternID),
+                ]))
+            ),
+        ]);
+        this.layerDFA = Regex.compile(this.colDFA.acceptSetMap.size(), numPatterns, layerRegex);
+        
+        // precompute set differences, so that new/broken matches can be iterated in O(1) time per match
+        this.acceptSetMapSize = this.layerDFA.acceptSetMap.size();
+        this.acceptSetDiffs = getAcceptSetDiffs(this.layerDFA);
+    }
+    
+    public getAcceptSetDiff(pState: number, qState: number): readonly number[] {
+        const {layerDFA, acceptSetMapSize: k} = this;
+        const pID = layerDFA.getAcceptSetID(pState), qID = layerDFA.getAcceptSetID(qState);
+        return this.acceptSetDiffs[pID + k * qID];
+    }
+    
+    public makeState(width: number, height: number, depth: number): MatcherState3D {
+        return new MatcherState3D(this, width, height, depth);
+    }
+}
+
+class MatcherState3D {
+    public readonly grid: Grid3D;
+    
+    /**
+     * Maps each `grid.index(x, y, z)` to the row-DFA state at (x, y, z).
+     */
+    private readonly rowStates: UintArray;
+    /**
+     * Maps each `grid.index(x, y, z)` to the column-DFA state at (x, y, z).
+     */
+    private readonly colStates: UintArray;
+    /**
+     * Maps each `grid.index(x, y, z)` to the layer-DFA state at (x, y, z).
+     */
+    private readonly layerStates: UintArray;
+    
+    /**
+     * Maps each pattern ID to the set of indices `grid.index(x, y, z)` where that pattern is matched at (x, y, z).
+     * 
+     * Invariant: `matchIndices[p].has(i)` if and only if `matcher.layerDFA` accepts `p` at state `layerStates[i]`
+     */
+    private readonly matchIndices: SampleableSet<number>[];
+    
+    public constructor(
+        public readonly matcher: PatternMatcher3D,
+        width: number,
+        height: number,
+        depth: number,
+    ) {
+        const n = width * height * depth;
+        this.rowStates = makeUintArray(n, matcher.rowDFA.size());
+        this.colStates = makeUintArray(n, matcher.colDFA.size());
+        this.layerStates = makeUintArray(n, matcher.layerDFA.size());
+        this.matchIndices = makeArray(matcher.numPatterns, () => new SampleableSet(n));
+        
+        const grid = this.grid = new Grid3D(matcher.alphabet, width, height, depth);
+        grid.listen(this.recompute.bind(this));
+        this.recompute(0, 0, 0, width, height, depth);
+    }
+    
+    /**
+     * Returns the number of times the given pattern matches this grid, in O(1) time.
+     */
+    public countMatches(patternID: number): number {
+        return this.matchIndices[patternID].size();
+    }
+    
+    /**
+     * Indicates whether the given pattern matches at (x, y, z), in O(1) time.
+     */
+    public hasMatch(patternID: number, x: number, y: number, z: number): boolean {
+        return this.matchIndices[patternID].has(this.grid.index(x, y, z));
+    }
+    
+    /**
+     * Returns the coordinates of every match of the given pattern, in no
+     * particular order, in O(m) time where m is the number of matches.
+     */
+    public getMatches(patternID: number): {x: number, y: number, z: number}[] {
+        return this.matchIndices[patternID].toArray().map(index => this.toCoords(index));
+    }
+    
+    /**
+     * Calls the function `f` for every match of every pattern, in no
+     * particular order, in O(p + m) time where p is the number of patterns
+     * and m is the number of matches. The grid must not be modified during
+     * the iteration.
+     */
+    public forEachMatch(f: (patternID: number, x: number, y: number, z: number) => void): void {
+        this.matchIndices.forEach((set, patternID) => set.forEach(index => {
+            const {x, y, z} = this.toCoords(index);
+            f(patternID, x, y, z);
+        }));
+    }
+    
+    /**
+     * Returns the IDs of the patterns which match at (x, y, z), in O(1) time.
+     */
+    public getPatternsAt(x: number, y: number, z: number): readonly number[] {
+        return this.matcher.layerDFA.getAcceptIDs(this.layerStates[this.grid.index(x, y, z)]);
+    }
+    
+    /**
+     * Returns the coordinates of a random match of the given pattern, in O(1) time,
+     * or `undefined` if there are no matches.
+     */
+    public getRandomMatch(patternID: number, rand: RNG = MATH_RANDOM): {x: number, y: number, z: number} | undefined {
+        const index = this.matchIndices[patternID].sample(rand);
+        return index !== undefined ? this.toCoords(index) : undefined;
+    }
+    
+    /**
+     * Converts a grid index to coordinates; inverse of `grid.index(x, y, z)`.
+     */
+    private toCoords(index: number): {x: number, y: number, z: number} {
+        const {width, height} = this.grid;
+        const xy = index % (width * height);
+        return {
+            x: xy % width,
+            y: Math.floor(xy / width),
+            z: Math.floor(index / (width * height)),
+        };
+    }
+    
+    /**
+     * Updates the state to account for changes in the box from startX/Y/Z
+     * (inclusive) to endX/Y/Z (exclusive).
+     */
+    private recompute(startX: number, startY: number, startZ: number, endX: number, endY: number, endZ: number): void {
+        const {matcher, grid, rowStates, colStates, layerStates, matchIndices} = this;
+        const {rowDFA, colDFA, layerDFA} = matcher;
+        const {width, height, depth} = grid;
+        
+        // the pattern matching is done in reverse, for convenience so that
+        // matches are accepted where the patterns start rather than where they end
+        
+        // the grid only holds valid letter IDs and the arrays only hold valid
+        // states, so the DFAs' unchecked transitions are safe here
+        
+        // each pass only scans the lines in which the previous pass changed
+        // some state, so the time complexity is the same as in the 2D case
+        
+        // recompute rowStates
+        let minChangedX = startX;
+        for(let z = startZ; z < endZ; ++z) {
+            for(let y = startY; y < endY; ++y) {
+                let state = endX === width ? 0 : rowStates[grid.index(endX, y, z)];
+                for(let x = endX - 1; x >= 0; --x) {
+                    // O(1) time per iteration
+                    
+                    const index = grid.index(x, y, z);
+                    state = rowDFA.goUnchecked(state, grid.grid[index]);
+                    if(state !== rowStates[index]) {
+                        rowStates[index] = state;
+                        minChangedX = Math.min(minChangedX, x);
+                    } else if(x < startX) {
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // recompute colStates
+        let minChangedY = startY;
+        for(let z = startZ; z < endZ; ++z) {
+            for(let x = minChangedX; x < endX; ++x) {
+                let state = endY === height ? 0 : colStates[grid.index(x, endY, z)];
+                for(let y = endY - 1; y >= 0; --y) {
+                    // O(1) time per iteration
+                    
+                    const index = grid.index(x, y, z);
+                    state = colDFA.goUnchecked(state, rowDFA.getAcceptSetID(rowStates[index]));
+                    if(state !== colStates[index]) {
+                        colStates[index] = state;
+                        minChangedY = Math.min(minChangedY, y);
+                    } else if(y < startY) {
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // recompute layerStates
+        for(let y = minChangedY; y < endY; ++y) {
+            for(let x = minChangedX; x < endX; ++x) {
+                let state = endZ === depth ? 0 : layerStates[grid.index(x, y, endZ)];
+                for(let z = endZ - 1; z >= 0; --z) {
+                    // O(m + 1) time per iteration, where m is the number of new + broken matches
+                    
+                    const index = grid.index(x, y, z);
+                    const acceptSetID = colDFA.getAcceptSetID(colStates[index]);
+                    state = layerDFA.goUnchecked(state, acceptSetID);
+                    const oldState = layerStates[index];
+                    if(state !== oldState) {
+                        layerStates[index] = state;
+                        
+                        // remove broken matches
+                        for(const acceptID of matcher.getAcceptSetDiff(oldState, state)) {
+                            matchIndices[acceptID].delete(index);
+                        }
+                        // add new matches
+                        for(const acceptID of matcher.getAcceptSetDiff(state, oldState)) {
+                            matchIndices[acceptID].add(index);
+                        }
+                    } else if(z < startZ) {
+                        break;
+                    }
+                }
+            }
+        }
+    }
+}
@@ -34,8 +34,34 @@ function makeArray<T>(n: number, f: (i: number) => T): T[] {
 }
 
 /**
- * Returns a random integer from 0 to n - 1.
+ * Returns `x` modulo `n`, as a number from 0 to n - 1 even if `x` is negative.
  */
-function rng(n: number): number {
-    return Math.floor(Math.random() * n);
+function mod(x: number, n: number): number {
+    return ((x % n) + n) % n;
+}
+
+/**
+ * Returns a 32-bit FNV-1a hash of a string, as 8 hexadecimal digits.
+ */
+function hashString(s: string): string {
+    // https://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function
+    let h = 0x811c9dc5;
+    for(let i = 0; i < s.length; ++i) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Shuffles an array in-place, in O(n) time.
+ */
+function shuffle<T>(arr: T[], rand: RNG = MATH_RANDOM): void {
+    // https://en.wikipedia.org/wiki/Fisher%E2%80%93Yates_shuffle
+    for(let i = arr.length - 1; i > 0; --i) {
+        const j = rand.nextInt(i + 1);
+        const tmp = arr[i];
+        arr[i] = arr[j];
+        arr[j] = tmp;
+    }
 }
@@ -0,0 +1,151 @@
+///<reference path="convolution.ts"/>
+///<reference path="grid.ts"/>
+
+/**
+ * Specifies an observation for a `one` node, as a constraint on the grid's
+ * future. When the node first takes a step after being reset, every cell
+ * whose symbol is `value` is replaced with `from` (by default, the symbol is
+ * unchanged), and it must eventually become one of the symbols in `to`.
+ * Cells whose symbols are not observed must eventually have the same symbols
+ * as they do then. The string `to` may contain union symbols; see
+ * `ProgramOptions`.
+ */
+type ObserveSpec = Readonly<{
+    value: string,
+    from?: string,
+    to: string,
+}>
+
+/**
+ * A compiled observation; see `ObserveSpec`.
+ */
+type Observation = Readonly<{
+    spec: ObserveSpec,
+    value: number,
+    from: number,
+    to: ISet,
+}>
+
+/**
+ * Compiles an observation. An error is thrown if it uses an unknown symbol.
+ */
+function compileObservation(alphabet: IDMap<string>, spec: ObserveSpec, unions: IRecord<string, string> = {}): Observation {
+    const {value, from = value} = spec;
+    for(const symbol of [value, from]) {
+        if(symbol.length !== 1 || !alphabet.has(symbol)) {
+            throw new Error(`Observation must be of a single symbol, was '${symbol}'`);
+        }
+    }
+    return {
+        spec,
+        value: alphabet.getID(value),
+        from: alphabet.getID(from),
+        to: ISet.of(alphabet.size(), symbolsToIDs(alphabet, spec.to, unions)),
+    };
+}
+
+/**
+ * Replaces each observed symbol in the grid with its observation's `from`
+ * symbol, and returns the grid's future: `future[c][i]` is 0 if the cell at
+ * index `i` may end as the symbol `c`, or -1 otherwise.
+ */
+function observeFuture(grid: Grid, observations: readonly Observation[]): Int32Array[] {
+    const alphabetSize = grid.alphabet.size();
+    const byValue: (Observation | undefined)[] = emptyArray(alphabetSize, undefined);
+    for(const obs of observations) { byValue[obs.value] = obs; }
+    
+    const future = makeArray(alphabetSize, () => new Int32Array(grid.grid.length).fill(-1));
+    const indices: number[] = [], values: number[] = [];
+    grid.grid.forEach((c, i) => {
+        const obs = byValue[c];
+        if(obs === undefined) {
+            future[c][i] = 0;
+            return;
+        }
+        ISet.forEach(obs.to, d => future[d][i] = 0);
+        if(obs.from !== c) {
+            indices.push(i);
+            values.push(obs.from);
+        }
+    });
+    grid.setCells(indices, values);
+    return future;
+}
+
+/**
+ * Indicates whether every cell of the grid has a symbol it may end as,
+ * according to the potentials computed from `observeFuture`.
+ */
+function isFutureReached(grid: Grid, potentials: readonly Int32Array[]): boolean {
+    return grid.grid.every((c, i) => potentials[c][i] === 0);
+}
+
+/**
+ * Computes backward potentials from the grid's future, in place: afterwards,
+ * `potentials[c][i]` is a lower bound on the number of applications of the
+ * given rewrites needed after the cell at index `i` becomes the symbol `c`,
+ * for the cell to reach its future; or -1 if no sequence of applications can
+ * do so. The bound is found by applying the rewrites backwards from the
+ * future, ignoring conflicts between cells.
+ */
+function computeBackwardPotentials(grid: Grid, potentials: readonly Int32Array[], rewrites: readonly Rewrite[], patternsIn: IDMap<Pattern>, patternsOut: IDMap<Pattern>): void {
+    const {width, height, periodicX, periodicY} = grid;
+    
+    // a queue of (symbol, index) pairs whose potentials are known, in increasing order of potential
+    const queue: number[] = [];
+    potentials.forEach((p, c) => p.forEach((t, i) => {
+        if(t === 0) { queue.push(c, i); }
+    }));
+    
+    /**
+     * Returns the grid index of (x, y), or -1 if it is outside of the grid.
+     */
+    function indexOf(x: number, y: number): number {
+        return (!periodicX && (x < 0 || x >= width)) || (!periodicY && (y < 0 || y >= height)) ? -1
+            : grid.index(x, y);
+    }
+    
+    for(let head = 0; head < queue.length; head += 2) {
+        const c = queue[head], i = queue[head + 1];
+        const t = potentials[c][i];
+        const x = i % width, y = Math.floor(i / width);
+        
+        for(const {pID, qID} of rewrites) {
+            const p = patternsIn.getByID(pID), q = patternsOut.getByID(qID);
+            const {vectorData} = q;
+            for(let k = 0; k < vectorData.length; k += 3) {
+                if(vectorData[k + 2] !== c) { continue; }
+                
+                // the rewrite could have written `c` at (x, y), from the position (px, py)
+                const px = x - vectorData[k], py = y - vectorData[k + 1];
+                let ok = true;
+                for(let m = 0; m < vectorData.length && ok; m += 3) {
+                    const j = indexOf(px + vectorData[m], py + vectorData[m + 1]);
+                    const s = j >= 0 ? potentials[vectorData[m + 2]][j] : -1;
+                    ok = s >= 0 && s <= t;
+                }
+                for(let dy = 0; dy < p.height && ok; ++dy) {
+                    for(let dx = 0; dx < p.width && ok; ++dx) {
+                        ok = indexOf(px + dx, py + dy) >= 0;
+                    }
+                }
+                if(!ok) { continue; }
+                
+                // so the rewrite's input could have been at (px, py), one application earlier
+                for(let dy = 0; dy < p.height; ++dy) {
+                    for(let dx = 0; dx < p.width; ++dx) {
+                        const letterIDs = p.getLetterIDs(dx + p.width * dy);
+                        if(letterIDs === undefined) { continue; }
+                        const j = indexOf(px + dx, py + dy);
+                        for(const d of letterIDs) {
+                            if(potentials[d][j] < 0) {
+                                potentials[d][j] = t + 1;
+                                queue.push(d, j);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
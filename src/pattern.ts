@@ -1,7 +1,8 @@
 /**
  * A small rectangular pattern which can be matched in a grid, or written to it.
  * Patterns may contain wildcards, which match any symbol and do not write
- * anything to the grid.
+ * anything to the grid, and symbol classes, which match any of a set of
+ * symbols and also do not write anything to the grid.
  */
 class Pattern {
     /**
@@ -9,19 +10,75 @@ class Pattern {
      * 
      * The pattern is specified by a string with rows separated by `/`; wildcards
      * `*` in the pattern match any symbol and do not write anything to the grid.
+     * A class such as `[BW]` matches any of the symbols in it, and a negated
+     * class such as `[^R]` matches any symbol not in it. Each key of `unions`
+     * is a symbol which may be used in the pattern as shorthand for the class
+     * of symbols in the corresponding value; e.g. `{X: 'BI'}` makes `X`
+     * equivalent to `[BI]`.
      */
-    public static of(alphabet: IDMap<string>, pattern: string): Pattern {
-        const rows = pattern.split('/');
+    public static of(alphabet: IDMap<string>, pattern: string, unions: IRecord<string, string> = {}): Pattern {
+        const classes: IDMap<readonly number[]> = IDMap.withKey(letterIDs => letterIDs.join(','));
+        
+        function symbolToIDs(c: string): number[] {
+            if(c === '*') { return makeArray(alphabet.size(), i => i); }
+            const union = unions[c];
+            if(union !== undefined && !alphabet.has(c)) {
+                return [...union].flatMap(symbolToIDs);
+            }
+            const id = alphabet.getIDOrDefault(c);
+            if(id < 0) { throw new Error(`Unknown symbol '${c}' in pattern: ${pattern}`); }
+            return [id];
+        }
+        function classToID(letterIDs: readonly number[]): number {
+            const set = ISet.of(alphabet.size(), letterIDs);
+            const size = ISet.size(set);
+            if(size === 0) {
+                throw new Error(`Empty class in pattern: ${pattern}`);
+            } else if(size === alphabet.size()) {
+                return -1;
+            } else if(size === 1) {
+                return letterIDs[0];
+            } else {
+                return -2 - classes.getOrCreateID(ISet.toArray(set).sort((a, b) => a - b));
+            }
+        }
+        function parseRow(row: string): number[] {
+            const cells: number[] = [];
+            for(let i = 0; i < row.length; ++i) {
+                const c = row[i];
+                if(c === '[') {
+                    const j = row.indexOf(']', i);
+                    if(j < 0) { throw new Error(`Unclosed class in pattern: ${pattern}`); }
+                    const negated = row[i + 1] === '^';
+                    const letterIDs = [...row.slice(negated ? i + 2 : i + 1, j)].flatMap(symbolToIDs);
+                    const set = ISet.of(alphabet.size(), letterIDs);
+                    cells.push(classToID(makeArray(alphabet.size(), k => k).filter(k => ISet.has(set, k) !== negated)));
+                    i = j;
+                } else {
+                    cells.push(classToID(symbolToIDs(c)));
+                }
+            }
+            return cells;
+        }
+        
+        const rows = pattern.split('/').map(parseRow);
         const width = rows[0].length;
         const height = rows.length;
         
-        if(rows.some(row => row.length !== width)) { throw new Error(pattern); }
+        if(rows.some(row => row.length !== width)) { throw new Error(`Pattern rows must have equal widths: ${pattern}`); }
         
-        function symbolToID(c: string): number {
-            return c === '*' ? -1 : alphabet.getID(c);
-        }
-        const rasterData = rows.flatMap(row => [...row].map(symbolToID));
-        return new Pattern(width, height, rasterData);
+        return new Pattern(width, height, rows.flat(), classes.map(letterIDs => letterIDs));
+    }
+    
+    /**
+     * Creates a pattern from raster data in the format of `rasterData`. The
+     * classes are renumbered in order of first occurrence, and unused classes
+     * are omitted, so that equal patterns have equal keys.
+     */
+    public static ofRaster(width: number, height: number, rasterData: readonly number[], classes: readonly (readonly number[])[]): Pattern {
+        const newClasses: IDMap<readonly number[]> = IDMap.withKey(letterIDs => letterIDs.join(','));
+        const newData = rasterData.map(c => c < -1 ? -2 - newClasses.getOrCreateID(classes[-2 - c]) : c);
+        return new Pattern(width, height, newData, newClasses.map(letterIDs => letterIDs));
     }
     
     /**
@@ -35,7 +92,7 @@ class Pattern {
                 newData.push(rasterData[x + width * y]);
             }
         }
-        return new Pattern(height, width, newData);
+        return new Pattern(height, width, newData, pattern.classes);
     }
     
     /**
@@ -49,14 +106,28 @@ class Pattern {
                 newData.push(rasterData[x + width * y]);
             }
         }
-        return new Pattern(width, height, newData);
+        return new Pattern(width, height, newData, pattern.classes);
+    }
+    
+    /**
+     * Reflects a pattern from left to right.
+     */
+    public static reflectX(pattern: Pattern): Pattern {
+        const {width, height, rasterData} = pattern;
+        const newData: number[] = [];
+        for(let y = 0; y < height; ++y) {
+            for(let x = width - 1; x >= 0; --x) {
+                newData.push(rasterData[x + width * y]);
+            }
+        }
+        return new Pattern(width, height, newData, pattern.classes);
     }
     
     /**
      * Returns a string representation of a pattern, for use as a Map key.
      */
     public static key(pattern: Pattern): string {
-        return pattern._key ??= `${pattern.width}:${pattern.height}:${pattern.rasterData.join(',')}`;
+        return pattern._key ??= `${pattern.width}:${pattern.height}:${pattern.rasterData.join(',')}:${pattern.classes.join('|')}`;
     }
     
     /**
@@ -85,9 +156,15 @@ class Pattern {
          */
         public readonly height: number,
         /**
-         * The cells of the pattern. A value of -1 indicates a wildcard.
+         * The cells of the pattern. A value of -1 indicates a wildcard, and a
+         * value of -2 - i indicates the symbol class `classes[i]`.
          */
         public readonly rasterData: readonly number[],
+        /**
+         * The symbol classes used in this pattern; each is a sorted array of
+         * letter IDs.
+         */
+        public readonly classes: readonly (readonly number[])[] = [],
     ) {
         let minX = width, minY = height, maxX = 0, maxY = 0;
         const vectorData: number[] = this.vectorData = [];
@@ -111,6 +188,17 @@ class Pattern {
         this.maxY = maxY;
     }
     
+    /**
+     * Returns the IDs of the letters which the cell at the given index in
+     * `rasterData` matches, or `undefined` if the cell is a wildcard.
+     */
+    public getLetterIDs(index: number): readonly number[] | undefined {
+        const c = this.rasterData[index];
+        return c >= 0 ? [c]
+            : c === -1 ? undefined
+            : this.classes[-2 - c];
+    }
+    
     /**
      * Returns the rows of this pattern as an array of (width * 1) patterns.
      */
@@ -118,8 +206,7 @@ class Pattern {
         const {width, height, rasterData} = this;
         const out: Pattern[] = []
         for(let y = 0; y < height; ++y) {
-            const row = rasterData.slice(y * width, (y + 1) * width);
-            out.push(new Pattern(width, 1, row));
+            out.push(Pattern.ofRaster(width, 1, rasterData.slice(y * width, (y + 1) * width), this.classes));
         }
         return out;
     }
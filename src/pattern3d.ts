@@ -0,0 +1,169 @@
+///<reference path="pattern.ts"/>
+
+/**
+ * A small cuboid pattern which can be matched in a 3D grid, or written to it.
+ * The cells have the same meaning as in a `Pattern`.
+ */
+class Pattern3D {
+    /**
+     * Creates a 3D pattern from a string.
+     * 
+     * The pattern is specified by a string with layers separated by spaces, in
+     * order of increasing z. Each layer is a 2D pattern in the format of
+     * `Pattern.of`, and all layers must have equal widths and heights.
+     */
+    public static of(alphabet: IDMap<string>, pattern: string, unions: IRecord<string, string> = {}): Pattern3D {
+        const layers = pattern.split(' ').map(layer => Pattern.of(alphabet, layer, unions));
+        const {width, height} = layers[0];
+        
+        if(layers.some(layer => layer.width !== width || layer.height !== height)) { throw new Error(`Pattern layers must have equal sizes: ${pattern}`); }
+        
+        // merge the layers' classes
+        const classes: IDMap<readonly number[]> = IDMap.withKey(letterIDs => letterIDs.join(','));
+        const rasterData = layers.flatMap(layer => layer.rasterData.map(
+            c => c < -1 ? -2 - classes.getOrCreateID(layer.classes[-2 - c]) : c
+        ));
+        return new Pattern3D(width, height, layers.length, rasterData, classes.map(letterIDs => letterIDs));
+    }
+    
+    /**
+     * Creates a new pattern of the given size, where the cell at (x, y, z) is
+     * copied from the cell of the given pattern at the coordinates returned
+     * by `f(x, y, z)`.
+     */
+    private static transform(pattern: Pattern3D, width: number, height: number, depth: number, f: (x: number, y: number, z: number) => [number, number, number]): Pattern3D {
+        const newData: number[] = [];
+        for(let z = 0; z < depth; ++z) {
+            for(let y = 0; y < height; ++y) {
+                for(let x = 0; x < width; ++x) {
+                    newData.push(pattern.rasterData[pattern.index(...f(x, y, z))]);
+                }
+            }
+        }
+        return new Pattern3D(width, height, depth, newData, pattern.classes);
+    }
+    
+    /**
+     * Rotates a pattern clockwise by 90 degrees in the XY plane, i.e. about the z axis.
+     */
+    public static rotateZ(pattern: Pattern3D): Pattern3D {
+        const {width, height, depth} = pattern;
+        return Pattern3D.transform(pattern, height, width, depth, (x, y, z) => [y, height - 1 - x, z]);
+    }
+    
+    /**
+     * Rotates a pattern by 90 degrees in the YZ plane, i.e. about the x axis.
+     */
+    public static rotateX(pattern: Pattern3D): Pattern3D {
+        const {width, height, depth} = pattern;
+        return Pattern3D.transform(pattern, width, depth, height, (x, y, z) => [x, z, depth - 1 - y]);
+    }
+    
+    /**
+     * Reflects a pattern from left to right.
+     */
+    public static reflectX(pattern: Pattern3D): Pattern3D {
+        const {width, height, depth} = pattern;
+        return Pattern3D.transform(pattern, width, height, depth, (x, y, z) => [width - 1 - x, y, z]);
+    }
+    
+    /**
+     * Reflects a pattern from bottom to top.
+     */
+    public static reflectZ(pattern: Pattern3D): Pattern3D {
+        const {width, height, depth} = pattern;
+        return Pattern3D.transform(pattern, width, height, depth, (x, y, z) => [x, y, depth - 1 - z]);
+    }
+    
+    /**
+     * Returns a string representation of a pattern, for use as a Map key.
+     */
+    public static key(pattern: Pattern3D): string {
+        return pattern._key ??= `${pattern.width}:${pattern.height}:${pattern.depth}:${pattern.rasterData.join(',')}:${pattern.classes.join('|')}`;
+    }
+    
+    /**
+     * The cached key; see `Pattern3D.key`.
+     */
+    private _key: string | undefined = undefined;
+    
+    /**
+     * A flat array of (x, y, z, c) quadruples for each occurrence of a
+     * non-wildcard symbol `c` at a position (x, y, z) in this pattern.
+     */
+    public readonly vectorData: readonly number[];
+    
+    public readonly minX: number;
+    public readonly minY: number;
+    public readonly minZ: number;
+    public readonly maxX: number;
+    public readonly maxY: number;
+    public readonly maxZ: number;
+    
+    private constructor(
+        /**
+         * The width of the pattern.
+         */
+        public readonly width: number,
+        /**
+         * The height of the pattern.
+         */
+        public readonly height: number,
+        /**
+         * The depth of the pattern, i.e. the number of layers.
+         */
+        public readonly depth: number,
+        /**
+         * The cells of the pattern, in the same order as `index(x, y, z)`.
+         * A value of -1 indicates a wildcard, and a value of -2 - i indicates
+         * the symbol class `classes[i]`.
+         */
+        public readonly rasterData: readonly number[],
+        /**
+         * The symbol classes used in this pattern; each is a sorted array of
+         * letter IDs.
+         */
+        public readonly classes: readonly (readonly number[])[] = [],
+    ) {
+        let minX = width, minY = height, minZ = depth, maxX = 0, maxY = 0, maxZ = 0;
+        const vectorData: number[] = this.vectorData = [];
+        
+        for(let z = 0; z < depth; ++z) {
+            for(let y = 0; y < height; ++y) {
+                for(let x = 0; x < width; ++x) {
+                    const c = rasterData[this.index(x, y, z)];
+                    if(c >= 0) {
+                        vectorData.push(x, y, z, c);
+                        minX = Math.min(minX, x);
+                        minY = Math.min(minY, y);
+                        minZ = Math.min(minZ, z);
+                        maxX = Math.max(maxX, x + 1);
+                        maxY = Math.max(maxY, y + 1);
+                        maxZ = Math.max(maxZ, z + 1);
+                    }
+                }
+            }
+        }
+        
+        this.minX = Math.min(minX, maxX);
+        this.minY = Math.min(minY, maxY);
+        this.minZ = Math.min(minZ, maxZ);
+        this.maxX = maxX;
+        this.maxY = maxY;
+        this.maxZ = maxZ;
+    }
+    
+    public index(x: number, y: number, z: number): number {
+        return x + this.width * (y + this.height * z);
+    }
+    
+    /**
+     * Returns the layers of this pattern as an array of 2D patterns, in order
+     * of increasing z.
+     */
+    public layers(): Pattern[] {
+        const {width, height, depth, rasterData} = this;
+        const n = width * height;
+        return makeArray(depth, z => Pattern.ofRaster(width, height, rasterData.slice(z * n, (z + 1) * n), this.classes));
+    }
+}
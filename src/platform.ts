@@ -0,0 +1,85 @@
+/**
+ * Minimal declarations for the parts of the runtime environment which may or
+ * may not exist, depending on where this script is running. They are declared
+ * here rather than depending on the full type definitions, since only a few
+ * members are used, and each must be checked before use.
+ */
+
+/**
+ * Defined only when running in a Web Worker.
+ */
+declare const WorkerGlobalScope: Function | undefined;
+
+/**
+ * Node.js's `require` function, and `require.main`.
+ */
+type NodeRequire = ((id: string) => unknown) & {main?: unknown}
+
+/**
+ * Defined only when running in Node.js.
+ */
+declare const require: NodeRequire | undefined;
+
+/**
+ * Defined only when running in Node.js, as a CommonJS module.
+ */
+declare const module: unknown;
+
+/**
+ * The members of Node.js's `process` object which are used by this library.
+ */
+type NodeProcess = {
+    argv: string[],
+    exitCode?: number,
+    stdout: {write(s: string): void},
+    stderr: {write(s: string): void},
+}
+
+/**
+ * Defined only when running in Node.js.
+ */
+declare const process: NodeProcess | undefined;
+
+/**
+ * The members of Node.js's `fs` module which are used by this library.
+ */
+type NodeFS = {
+    readFileSync(path: string, encoding: 'utf8'): string,
+    writeFileSync(path: string, data: string | Uint8Array): void,
+}
+
+/**
+ * The members of Node.js's `MessagePort` which are used by this library.
+ */
+type NodeMessagePort = {
+    on(event: 'message', listener: (message: any) => void): void,
+    postMessage(message: unknown): void,
+}
+
+/**
+ * The members of Node.js's `worker_threads` module which are used by this library.
+ */
+type NodeWorkerThreads = {
+    isMainThread: boolean,
+    parentPort: NodeMessagePort | null,
+}
+
+/**
+ * Returns Node.js's `worker_threads` module, or `undefined` if not running
+ * in Node.js.
+ */
+function getNodeWorkerThreads(): NodeWorkerThreads | undefined {
+    return typeof require === 'function' ? require('worker_threads') as NodeWorkerThreads : undefined;
+}
+
+/**
+ * Indicates whether this script was run directly by Node.js, e.g. as
+ * `node pattern-match-2d.js`, rather than being loaded by another script or
+ * as a worker.
+ */
+function isNodeMainScript(): boolean {
+    return typeof require === 'function'
+        && typeof module !== 'undefined'
+        && require.main === module
+        && getNodeWorkerThreads()!.isMainThread;
+}
@@ -0,0 +1,447 @@
+///<reference path="display.ts"/>
+///<reference path="program.ts"/>
+///<reference path="random.ts"/>
+
+/**
+ * A program edited in the playground, with the settings to run it. The
+ * program applies the first rule which matches the grid, at each step; see
+ * the `Program` constructor.
+ */
+type PlaygroundSpec = Readonly<{
+    alphabet: string,
+    width: number,
+    height: number,
+    seed: number,
+    origin: boolean,
+    rules: readonly RuleSpec[],
+}>
+
+/**
+ * A browser page for editing rules and running them; see `playground.html`.
+ * The program is encoded in the page's URL, so it can be shared.
+ */
+namespace Playground {
+    /**
+     * A maze generated by a random walk with backtracking, as in
+     * MarkovJunior's `MazeBacktracker` model.
+     */
+    export const DEFAULT_SPEC: PlaygroundSpec = {
+        alphabet: 'BRGW',
+        width: 59,
+        height: 59,
+        seed: 1,
+        origin: true,
+        rules: [
+            {patternIn: 'RBB', patternOut: 'GGR'},
+            {patternIn: 'RGG', patternOut: 'WWR'},
+        ],
+    };
+    
+    const SYMMETRY_GROUPS: readonly Symmetry.Group[] = ['none', 'mirrorX', 'mirrorY', 'mirrorXY', 'rotate180', 'rotate', 'all'];
+    
+    /**
+     * The maximum width or height of the grid, so that a shared URL cannot
+     * make the page unresponsive.
+     */
+    const MAX_GRID_SIZE = 1024;
+    
+    /**
+     * The maximum size in pixels of the displayed grid.
+     */
+    const MAX_DISPLAY_SIZE = 512;
+    
+    /**
+     * The size in pixels of each cell in a pattern editor.
+     */
+    const PATTERN_CELL_SIZE = 16;
+    
+    /**
+     * Encodes a program as a string, for use in a URL.
+     */
+    export function encode(spec: PlaygroundSpec): string {
+        return encodeURIComponent(JSON.stringify(spec));
+    }
+    
+    /**
+     * Decodes a program encoded by `encode`. An error is thrown if the string
+     * does not encode a valid program; the program's rules are validated
+     * when it is compiled.
+     */
+    export function decode(s: string): PlaygroundSpec {
+        const data: unknown = JSON.parse(decodeURIComponent(s));
+        if(typeof data !== 'object' || data === null) { throw new Error(`Invalid program`); }
+        const {alphabet, width, height, seed, origin, rules} = data as Record<string, unknown>;
+        
+        if(typeof alphabet !== 'string') { throw new Error(`Invalid alphabet`); }
+        for(const [name, n] of [['width', width], ['height', height]] as const) {
+            if(typeof n !== 'number' || !Number.isInteger(n) || n <= 0 || n > MAX_GRID_SIZE) {
+                throw new Error(`Invalid ${name}; must be an integer from 1 to ${MAX_GRID_SIZE}`);
+            }
+        }
+        if(typeof seed !== 'number' || !Number.isInteger(seed)) { throw new Error(`Invalid seed`); }
+        if(typeof origin !== 'boolean') { throw new Error(`Invalid origin`); }
+        if(!Array.isArray(rules)) { throw new Error(`Invalid rules`); }
+        
+        return {
+            alphabet,
+            width: width as number,
+            height: height as number,
+            seed,
+            origin,
+            rules: rules.map((rule: unknown, i): RuleSpec => {
+                const {patternIn, patternOut, limit, symmetry} = (rule ?? {}) as Record<string, unknown>;
+                if(typeof patternIn !== 'string' || typeof patternOut !== 'string') {
+                    throw new Error(`Invalid rule ${i + 1}`);
+                } else if(limit !== undefined && (typeof limit !== 'number' || !Number.isInteger(limit) || limit < 0)) {
+                    throw new Error(`Invalid limit for rule ${i + 1}`);
+                } else if(symmetry !== undefined && !(SYMMETRY_GROUPS as readonly unknown[]).includes(symmetry)) {
+                    throw new Error(`Invalid symmetry for rule ${i + 1}`);
+                }
+                return {patternIn, patternOut, limit, symmetry: symmetry as Symmetry.Group | undefined};
+            }),
+        };
+    }
+    
+    /**
+     * Splits a pattern string into rows of cells, where each cell is a
+     * symbol, a wildcard or a class; see `Pattern.of`.
+     */
+    function splitPattern(pattern: string): string[][] {
+        return pattern.split('/').map(row => row.match(/\[[^\]]*\]?|./g) ?? []);
+    }
+    
+    function joinPattern(cells: readonly (readonly string[])[]): string {
+        return cells.map(row => row.join('')).join('/');
+    }
+    
+    /**
+     * Creates an element with the given properties and children.
+     */
+    function el<K extends keyof HTMLElementTagNameMap>(tag: K, props: Partial<HTMLElementTagNameMap[K]> = {}, children: readonly (Node | string)[] = []): HTMLElementTagNameMap[K] {
+        const elem = document.createElement(tag);
+        Object.assign(elem, props);
+        elem.append(...children);
+        return elem;
+    }
+    
+    function numberInput(value: number, min: number, max: number, onChange: (value: number) => void): HTMLInputElement {
+        const input = el('input', {type: 'number', value: String(value), min: String(min), max: String(max), step: '1'});
+        input.addEventListener('change', () => {
+            const n = Number(input.value);
+            if(input.value !== '' && Number.isInteger(n) && n >= min && n <= max) {
+                value = n;
+                onChange(n);
+            } else {
+                input.value = String(value);
+            }
+        });
+        return input;
+    }
+    
+    /**
+     * Runs the playground, adding its controls to `parent`. The program is
+     * loaded from the page's URL if it has one, otherwise `DEFAULT_SPEC` is
+     * used.
+     */
+    export function run(parent: HTMLElement = document.body): void {
+        let spec = DEFAULT_SPEC;
+        let loadError: string | undefined = undefined;
+        if(location.hash.length > 1) {
+            try {
+                spec = decode(location.hash.slice(1));
+            } catch(e) {
+                loadError = `Could not load the program from the URL: ${e instanceof Error ? e.message : String(e)}`;
+            }
+        }
+        
+        let interpreter: Interpreter | undefined = undefined;
+        let playing = false;
+        let frameRequested = false;
+        let steps = 0;
+        let stepsPerFrame = 16;
+        /**
+         * The symbol painted when a cell of a pattern editor is clicked.
+         */
+        let brush = '*';
+        
+        const settingsElem = el('div', {className: 'settings'});
+        const brushElem = el('div', {className: 'brushes'});
+        const rulesElem = el('div', {className: 'rules'});
+        const errorElem = el('p', {className: 'error'});
+        const statusElem = el('span', {className: 'status'});
+        const gridElem = el('div', {className: 'grid'});
+        const playButton = el('button', {textContent: 'Play'});
+        
+        const controlsElem = el('div', {className: 'controls'}, [
+            playButton,
+            el('button', {textContent: 'Step', onclick: () => { playing = false; doSteps(1); }}),
+            el('button', {textContent: 'Reset', onclick: () => { playing = false; restart(); }}),
+            el('label', {}, ['Steps per frame ', numberInput(stepsPerFrame, 1, 1 << 16, n => stepsPerFrame = n)]),
+            el('button', {textContent: 'Copy link', onclick: () => navigator.clipboard?.writeText(location.href)}),
+            statusElem,
+        ]);
+        playButton.addEventListener('click', () => {
+            playing = !playing;
+            scheduleFrame();
+            updateStatus();
+        });
+        
+        parent.append(
+            el('div', {className: 'playground'}, [
+                el('div', {className: 'editor'}, [
+                    settingsElem,
+                    brushElem,
+                    rulesElem,
+                    el('button', {textContent: 'Add rule', onclick: () => {
+                        setSpec({...spec, rules: [...spec.rules, {patternIn: 'B', patternOut: 'B'}]}, true);
+                    }}),
+                ]),
+                el('div', {className: 'output'}, [controlsElem, errorElem, gridElem]),
+            ]),
+        );
+        
+        /**
+         * Updates the program, and restarts it if it is valid. The editor is
+         * only re-rendered if `render` is true, so that inputs being edited
+         * keep their focus.
+         */
+        function setSpec(newSpec: PlaygroundSpec, render: boolean): void {
+            spec = newSpec;
+            loadError = undefined;
+            history.replaceState(null, '', `#${encode(spec)}`);
+            if(render) { renderEditor(); }
+            restart();
+        }
+        
+        function renderEditor(): void {
+            settingsElem.replaceChildren(
+                el('label', {}, ['Alphabet ', (() => {
+                    const input = el('input', {type: 'text', value: spec.alphabet, size: 12});
+                    input.addEventListener('change', () => setSpec({...spec, alphabet: input.value}, true));
+                    return input;
+                })()]),
+                el('label', {}, ['Width ', numberInput(spec.width, 1, MAX_GRID_SIZE, width => setSpec({...spec, width}, false))]),
+                el('label', {}, ['Height ', numberInput(spec.height, 1, MAX_GRID_SIZE, height => setSpec({...spec, height}, false))]),
+                el('label', {}, ['Seed ', numberInput(spec.seed, -0x80000000, 0x7FFFFFFF, seed => setSpec({...spec, seed}, false))]),
+                el('label', {}, ['Origin ', (() => {
+                    const input = el('input', {type: 'checkbox', checked: spec.origin});
+                    input.addEventListener('change', () => setSpec({...spec, origin: input.checked}, false));
+                    return input;
+                })()]),
+            );
+            
+            brushElem.replaceChildren(
+                'Paint: ',
+                ...[...spec.alphabet, '*'].map(symbol => {
+                    const button = el('button', {textContent: symbol, title: symbol === '*' ? 'wildcard' : symbol});
+                    button.style.background = PICO8_PALETTE[symbol] ?? '';
+                    button.style.color = symbol === '*' ? '' : 'gray';
+                    button.style.outline = symbol === brush ? '2px solid orange' : '';
+                    button.addEventListener('click', () => {
+                        brush = symbol;
+                        renderEditor();
+                    });
+                    return button;
+                }),
+            );
+            
+            rulesElem.replaceChildren(...spec.rules.map(renderRule));
+        }
+        
+        function renderRule(rule: RuleSpec, index: number): HTMLElement {
+            const errorElem = el('span', {className: 'error'});
+            function setRule(changes: Partial<RuleSpec>): void {
+                const rules = spec.rules.slice();
+                const newRule = rules[index] = {...rules[index], ...changes};
+                setSpec({...spec, rules}, false);
+                errorElem.textContent = validateRule(newRule) ?? '';
+            }
+            function moveRule(offset: number): void {
+                const rules = spec.rules.slice();
+                const j = index + offset;
+                if(j < 0 || j >= rules.length) { return; }
+                [rules[index], rules[j]] = [rules[j], rules[index]];
+                setSpec({...spec, rules}, true);
+            }
+            
+            const inEditor = patternEditor(rule.patternIn, patternIn => setRule({patternIn}));
+            const outEditor = patternEditor(rule.patternOut, patternOut => setRule({patternOut}));
+            
+            const limitInput = el('input', {type: 'number', value: rule.limit !== undefined ? String(rule.limit) : '', min: '0', step: '1', placeholder: 'no limit'});
+            limitInput.addEventListener('change', () => {
+                const n = Number(limitInput.value);
+                const limit = limitInput.value !== '' && Number.isInteger(n) && n >= 0 ? n : undefined;
+                limitInput.value = limit !== undefined ? String(limit) : '';
+                setRule({limit});
+            });
+            
+            const symmetrySelect = el('select', {}, SYMMETRY_GROUPS.map(group => el('option', {value: group, textContent: group})));
+            symmetrySelect.value = rule.symmetry ?? 'all';
+            symmetrySelect.addEventListener('change', () => setRule({symmetry: symmetrySelect.value as Symmetry.Group}));
+            
+            errorElem.textContent = validateRule(rule) ?? '';
+            return el('div', {className: 'rule'}, [
+                inEditor,
+                ' → ',
+                outEditor,
+                el('label', {}, [' Limit ', limitInput]),
+                el('label', {}, [' Symmetry ', symmetrySelect]),
+                el('button', {textContent: '↑', title: 'Move up', onclick: () => moveRule(-1)}),
+                el('button', {textContent: '↓', title: 'Move down', onclick: () => moveRule(1)}),
+                el('button', {textContent: '✕', title: 'Delete', onclick: () => {
+                    setSpec({...spec, rules: spec.rules.filter((_, i) => i !== index)}, true);
+                }}),
+                errorElem,
+            ]);
+        }
+        
+        /**
+         * Creates an editor for a pattern, with a text input and a preview
+         * which can be painted by clicking on its cells.
+         */
+        function patternEditor(pattern: string, onChange: (pattern: string) => void): HTMLElement {
+            const input = el('input', {type: 'text', value: pattern, size: 10});
+            const canvas = el('canvas');
+            const ctx = canvas.getContext('2d')!;
+            
+            function draw(): void {
+                const cells = splitPattern(input.value);
+                const width = Math.max(...cells.map(row => row.length));
+                canvas.width = width * PATTERN_CELL_SIZE;
+                canvas.height = cells.length * PATTERN_CELL_SIZE;
+                cells.forEach((row, y) => row.forEach((cell, x) => drawCell(ctx, cell, x * PATTERN_CELL_SIZE, y * PATTERN_CELL_SIZE)));
+            }
+            
+            input.addEventListener('input', () => {
+                draw();
+                onChange(input.value);
+            });
+            canvas.addEventListener('click', e => {
+                const x = Math.floor(e.offsetX / PATTERN_CELL_SIZE);
+                const y = Math.floor(e.offsetY / PATTERN_CELL_SIZE);
+                const cells = splitPattern(input.value);
+                if(y >= cells.length || x >= cells[y].length) { return; }
+                cells[y][x] = brush;
+                input.value = joinPattern(cells);
+                draw();
+                onChange(input.value);
+            });
+            
+            draw();
+            return el('span', {className: 'pattern'}, [canvas, input]);
+        }
+        
+        /**
+         * Draws one cell of a pattern; a class is drawn as stripes of the
+         * colours of its symbols, and a wildcard as a checkerboard.
+         */
+        function drawCell(ctx: CanvasRenderingContext2D, cell: string, x: number, y: number): void {
+            const s = PATTERN_CELL_SIZE, h = s >> 1;
+            if(cell === '*') {
+                ctx.fillStyle = '#C2C3C7';
+                ctx.fillRect(x, y, s, s);
+                ctx.fillStyle = '#5F574F';
+                ctx.fillRect(x, y, h, h);
+                ctx.fillRect(x + h, y + h, h, h);
+            } else if(cell.startsWith('[')) {
+                const symbols = [...cell.replace(/^\[\^?|\]$/g, '')];
+                symbols.forEach((symbol, i) => {
+                    ctx.fillStyle = PICO8_PALETTE[symbol] ?? 'black';
+                    ctx.fillRect(x + Math.floor(i * s / symbols.length), y, Math.ceil(s / symbols.length), s);
+                });
+                if(cell.startsWith('[^')) {
+                    ctx.strokeStyle = '#FF004D';
+                    ctx.beginPath();
+                    ctx.moveTo(x, y + s);
+                    ctx.lineTo(x + s, y);
+                    ctx.stroke();
+                }
+            } else {
+                ctx.fillStyle = PICO8_PALETTE[cell] ?? 'black';
+                ctx.fillRect(x, y, s, s);
+            }
+            ctx.strokeStyle = '#5F574F';
+            ctx.strokeRect(x + 0.5, y + 0.5, s - 1, s - 1);
+        }
+        
+        /**
+         * Returns an error message if the rule is invalid by itself, or
+         * `undefined` if it is valid.
+         */
+        function validateRule(rule: RuleSpec): string | undefined {
+            try {
+                new Program(IDMap.of(spec.alphabet), [rule]);
+                return undefined;
+            } catch(e) {
+                return e instanceof Error ? e.message : String(e);
+            }
+        }
+        
+        /**
+         * Compiles the program and starts it from the beginning, or shows an
+         * error if it is invalid.
+         */
+        function restart(): void {
+            interpreter = undefined;
+            steps = 0;
+            gridElem.replaceChildren();
+            try {
+                if(spec.alphabet.length === 0) { throw new Error(`The alphabet must not be empty`); }
+                if(new Set(spec.alphabet).size !== spec.alphabet.length) { throw new Error(`The alphabet must not contain duplicate symbols`); }
+                if(/[*\/\[\]^]/.test(spec.alphabet)) { throw new Error(`The alphabet must not contain the characters * / [ ] ^`); }
+                const program = new Program(IDMap.of(spec.alphabet), spec.rules, {origin: spec.origin});
+                interpreter = program.makeInterpreter(spec.width, spec.height, new PRNG(spec.seed));
+                errorElem.textContent = loadError ?? '';
+            } catch(e) {
+                errorElem.textContent = e instanceof Error ? e.message : String(e);
+                playing = false;
+                updateStatus();
+                return;
+            }
+            
+            const {grid} = interpreter.state;
+            const scale = Math.max(1, Math.floor(MAX_DISPLAY_SIZE / Math.max(grid.width, grid.height)));
+            displayGrid(grid, scale, gridElem);
+            updateStatus();
+            scheduleFrame();
+        }
+        
+        function doSteps(n: number): void {
+            const current = interpreter;
+            if(current === undefined) { return; }
+            try {
+                for(let i = 0; i < n && current.step(); ++i) { ++steps; }
+            } catch(e) {
+                errorElem.textContent = e instanceof Error ? e.message : String(e);
+                playing = false;
+            }
+            if(current.isDone()) { playing = false; }
+            updateStatus();
+        }
+        
+        /**
+         * Requests an animation frame if the program is playing, unless one
+         * has already been requested.
+         */
+        function scheduleFrame(): void {
+            if(!playing || frameRequested) { return; }
+            frameRequested = true;
+            requestAnimationFrame(() => {
+                frameRequested = false;
+                if(!playing) { return; }
+                doSteps(stepsPerFrame);
+                scheduleFrame();
+            });
+        }
+        
+        function updateStatus(): void {
+            playButton.textContent = playing ? 'Pause' : 'Play';
+            statusElem.textContent = interpreter === undefined ? ''
+                : interpreter.isDone() ? `Done after ${steps} steps`
+                : `${steps} steps`;
+        }
+        
+        renderEditor();
+        restart();
+    }
+}
@@ -0,0 +1,946 @@
+///<reference path="convolution.ts"/>
+///<reference path="field.ts"/>
+///<reference path="matcher.ts"/>
+///<reference path="search.ts"/>
+///<reference path="symmetry.ts"/>
+
+/**
+ * Specifies a rewrite rule; wherever `patternIn` matches the grid, the rule
+ * may write `patternOut` at the same position. If a `limit` is given, the
+ * rule is applied at most that many times.
+ * 
+ * The rule also applies with every transformation of its patterns in its
+ * `symmetry` group, which is `'all'` by default.
+ * 
+ * In a `one` node, each match is chosen with probability proportional to the
+ * rule's `weight` times the weight of the rule's symmetry which matched. The
+ * `symmetryWeights` are keyed by the name of each transformation in the
+ * rule's symmetry group; see `Symmetry.Transformation`. By default, each
+ * weight is 1. If several transformations give the same rewrite, e.g. because
+ * the rule is symmetric, then the rewrite's weight is the mean of theirs.
+ */
+type RuleSpec = Readonly<{
+    patternIn: string,
+    patternOut: string,
+    limit?: number,
+    symmetry?: Symmetry.Group,
+    weight?: number,
+    symmetryWeights?: Readonly<Partial<Record<Symmetry.Transformation, number>>>,
+}>
+
+/**
+ * Specifies a node of a rule program. Each step of the program is a step of
+ * its root node:
+ * - A `one` node applies one of its rules at one position, chosen at random
+ *   from all matches of all its rules according to their weights. If `select`
+ *   is `'rule'`, then a rule is chosen first, from those which have matches
+ *   according to their weights, and then a match of that rule is chosen.
+ * - If a `one` node has `fields`, then matches are instead chosen to
+ *   minimise the total potential of the symbols they write, according to the
+ *   fields for those symbols; see `FieldSpec`. Matches which would write a
+ *   symbol where its field has no potential are excluded. If `temperature`
+ *   is positive, each match is chosen with probability proportional to its
+ *   weight times `exp(-delta / temperature)`, where `delta` is the change in
+ *   potential; otherwise, only the matches with the least `delta` are chosen,
+ *   according to their weights, and `select` is ignored.
+ * - If a `one` node has `observations`, then matches are instead chosen to
+ *   steer the grid towards the future described by the observations; see
+ *   `ObserveSpec`. The potential of a symbol at a cell is a lower bound on
+ *   the number of rule applications needed afterwards for the cell to reach
+ *   its future, and matches are chosen by `temperature` as for fields. The
+ *   node cannot take a step once every cell has reached its future. A node
+ *   cannot have both `fields` and `observations`.
+ * - An `all` node applies its rules at a maximal set of matches whose outputs
+ *   do not overlap, chosen in a random order.
+ * - A `prl` node applies its rules at every match simultaneously; where the
+ *   outputs of matches overlap, the conflict is resolved by the `conflicts`
+ *   policy, which is `'overwrite'` by default.
+ * - A `path` node draws a shortest path of `color` symbols through cells
+ *   whose symbols are in `on`, from a cell whose symbol is in `from` to a
+ *   cell whose symbol is in `to`, moving orthogonally; the `from` cell with
+ *   the shortest path is chosen, with ties broken at random. If `inertia` is
+ *   true, the path turns as little as possible. The node cannot take a step
+ *   if there is no such path, or if it would not change the grid.
+ * - A `convolution` node applies its rules to every cell simultaneously;
+ *   each cell is rewritten by the first rule whose conditions hold for it,
+ *   counting neighbours in the given `neighbourhood`, which is `'moore'` by
+ *   default. Neighbours wrap around the edges of a periodic grid.
+ * - If a `one`, `all`, `prl`, `path` or `convolution` node has a `limit`, it
+ *   takes at most that many steps.
+ * - A `markov` node takes a step with its first child which can take one.
+ * - A `sequence` node takes steps with its first child until that child can
+ *   take no more, then continues with the next child, and so on.
+ * - A `search` node searches for a sequence of applications of its rules
+ *   which leads to a grid where all of its `goals` hold, and then takes one
+ *   step per application; see `Search.findPath`. The search has at most
+ *   `maxDepth` applications, unlimited by default, and explores at most
+ *   `maxStates` grids, `DEFAULT_SEARCH_MAX_STATES` by default. If no
+ *   solution is found, an error is thrown, and the grid is not changed. If
+ *   the grid is changed other than by the node itself while the solution is
+ *   being applied, e.g. by another node, then the search is repeated from
+ *   the changed grid.
+ * 
+ * A `markov` or `sequence` node which cannot take a step is reset, along
+ * with its descendants, so that if it is reached again (e.g. as a child of
+ * another `markov` node) then it starts again from the beginning. Other nodes
+ * are only reset with their parents, so their limits and their rules' limits
+ * still hold when a `markov` node returns to them.
+ */
+type NodeSpec = Readonly<
+    | {kind: 'one', rules: readonly RuleSpec[], limit?: number, select?: MatchSelection, fields?: readonly FieldSpec[], observations?: readonly ObserveSpec[], temperature?: number}
+    | {kind: 'all', rules: readonly RuleSpec[], limit?: number}
+    | {kind: 'prl', rules: readonly RuleSpec[], limit?: number, conflicts?: ConflictPolicy}
+    | {kind: 'path', from: string, to: string, on: string, color: string, inertia?: boolean, limit?: number}
+    | {kind: 'convolution', rules: readonly ConvolutionRuleSpec[], neighbourhood?: Neighbourhood, limit?: number}
+    | {kind: 'markov' | 'sequence', children: readonly NodeSpec[]}
+    | {kind: 'search', rules: readonly RuleSpec[], goals: readonly GoalSpec[], maxDepth?: number, maxStates?: number}
+>
+
+/**
+ * Determines how a `one` node chooses a match; see `NodeSpec`.
+ */
+type MatchSelection = 'match' | 'rule'
+
+/**
+ * Determines how a `prl` node resolves conflicts between matches whose
+ * outputs overlap:
+ * - `'overwrite'`: every match is rewritten, in a random order, so each
+ *   conflicting cell gets its symbol from one of the matches at random.
+ * - `'skip'`: matches which conflict with any other match are not rewritten.
+ */
+type ConflictPolicy = 'overwrite' | 'skip'
+
+/**
+ * A compiled rewrite, for one symmetry of a rule. `pID` and `qID` are the IDs
+ * of the input and output patterns.
+ */
+type Rewrite = Readonly<{
+    pID: number,
+    qID: number,
+    ruleID: number,
+    weight: number,
+}>
+
+/**
+ * A compiled rule, with one rewrite for each symmetry of the rule.
+ */
+type Rule = Readonly<{
+    id: number,
+    /**
+     * The specification which this rule was compiled from.
+     */
+    spec: RuleSpec,
+    rewrites: readonly Rewrite[],
+    limit: number | undefined,
+    weight: number,
+}>
+
+/**
+ * A compiled node of a rule program; see `NodeSpec`.
+ */
+type ProgramNode = Readonly<
+    | {kind: 'one', id: number, rules: readonly Rule[], limit: number | undefined, select: MatchSelection, fields: readonly Field[], observations: readonly Observation[], temperature: number}
+    | {kind: 'all', id: number, rules: readonly Rule[], limit: number | undefined}
+    | {kind: 'prl', id: number, rules: readonly Rule[], limit: number | undefined, conflicts: ConflictPolicy}
+    | {kind: 'path', id: number, from: ISet, to: ISet, on: ISet, color: number, inertia: boolean, limit: number | undefined}
+    | {kind: 'convolution', id: number, rules: readonly ConvolutionRule[], neighbourhood: Neighbourhood, limit: number | undefined}
+    | {kind: 'markov' | 'sequence', id: number, children: readonly ProgramNode[]}
+    | {kind: 'search', id: number, rules: readonly Rule[], goals: readonly Goal[], maxDepth: number, maxStates: number}
+>
+
+/**
+ * Options for compiling a `Program`:
+ * - If `origin` is true, then the grid is initialised with the second symbol
+ *   of the alphabet at its centre.
+ * - Each key of `unions` is a symbol which may be used in input patterns to
+ *   match any of the symbols in the corresponding value; see `Pattern.of`.
+ * - If `matcherData` is given, it is used instead of compiling the program's
+ *   matcher; it should be the result of `program.matcher.toJSON()` for a
+ *   program compiled from the same rules.
+ */
+type ProgramOptions = Readonly<{
+    origin?: boolean,
+    unions?: IRecord<string, string>,
+    matcherData?: PatternMatcherData,
+}>
+
+/**
+ * A position where a rewrite can be applied.
+ */
+type Match = Readonly<{
+    x: number,
+    y: number,
+    pID: number,
+    qID: number,
+    ruleID: number,
+}>
+
+/**
+ * A tree of rewrite rules, compiled into a single `PatternMatcher`. A program
+ * is immutable, so it may be shared by any number of `Interpreter`s.
+ */
+class Program {
+    /**
+     * Convenience function for writing rule specifications.
+     */
+    public static rule(patternIn: string, patternOut: string, limit?: number): RuleSpec {
+        return {patternIn, patternOut, limit};
+    }
+    
+    /**
+     * The matcher which recognises the input patterns of all rules.
+     */
+    public readonly matcher: PatternMatcher;
+    
+    /**
+     * The output patterns of all rules; the second ID of each rewrite is a key
+     * in this map.
+     */
+    public readonly patternsOut: IDMap<Pattern>;
+    
+    /**
+     * The root node of the program.
+     */
+    public readonly root: ProgramNode;
+    
+    /**
+     * All rules in the program, indexed by rule ID.
+     */
+    public readonly rules: readonly Rule[];
+    
+    /**
+     * The number of nodes in the program; node IDs are less than this number.
+     */
+    public readonly numNodes: number;
+    
+    /**
+     * Indicates whether the grid is initialised with the second symbol of the
+     * alphabet at its centre.
+     */
+    public readonly origin: boolean;
+    
+    /**
+     * Compiles a program. If `spec` is an array of rules, then the program
+     * applies the first rule which matches the grid, at each step.
+     */
+    public constructor(
+        public readonly alphabet: IDMap<string>,
+        spec: NodeSpec | readonly RuleSpec[],
+        options: ProgramOptions = {},
+    ) {
+        const {origin = false, unions = {}, matcherData} = options;
+        this.origin = origin;
+        
+        const patternsIn = IDMap.withKey(Pattern.key);
+        const patternsOut = this.patternsOut = IDMap.withKey(Pattern.key);
+        const rules: Rule[] = this.rules = [];
+        let numNodes = 0;
+        
+        function compileRule(spec: RuleSpec): Rule {
+            const {patternIn, patternOut, limit, symmetry, weight = 1} = spec;
+            const ruleID = rules.length;
+            const p = Pattern.of(alphabet, patternIn, unions);
+            const q = Pattern.of(alphabet, patternOut);
+            if(q.classes.length > 0) {
+                throw new Error(`Output pattern cannot contain symbol classes: ${patternOut}`);
+            }
+            const transformations = Symmetry.transformationsOf(symmetry);
+            const symmetryWeights: IRecord<string, number | undefined> = spec.symmetryWeights ?? {};
+            for(const name in symmetryWeights) {
+                if(!transformations.includes(name as Symmetry.Transformation)) {
+                    throw new Error(`Rule ${patternIn} -> ${patternOut} has a weight for '${name}', which is not in its symmetry group`);
+                }
+            }
+            if(weight < 0 || Object.values(symmetryWeights).some(w => w !== undefined && w < 0)) {
+                throw new Error(`Rule ${patternIn} -> ${patternOut} has a negative weight`);
+            }
+            
+            // transformations which give the same rewrite share one, with the mean of their weights
+            const variants = new Map<string, {p: Pattern, q: Pattern, weights: number[]}>();
+            for(const t of transformations) {
+                const pt = Symmetry.transform(p, t), qt = Symmetry.transform(q, t);
+                const key = `${Pattern.key(pt)}/${Pattern.key(qt)}`;
+                let variant = variants.get(key);
+                if(variant === undefined) {
+                    variants.set(key, variant = {p: pt, q: qt, weights: []});
+                }
+                variant.weights.push(symmetryWeights[t] ?? 1);
+            }
+            const rewrites = [...variants.values()].map(({p, q, weights}) => ({
+                pID: patternsIn.getOrCreateID(p),
+                qID: patternsOut.getOrCreateID(q),
+                ruleID,
+                weight: weight * weights.reduce((a, b) => a + b, 0) / weights.length,
+            }));
+            const rule: Rule = {id: ruleID, spec, rewrites, limit, weight};
+            rules.push(rule);
+            return rule;
+        }
+        function compileGoal(spec: GoalSpec): Goal {
+            const {pattern, min = 0, max = Infinity} = spec;
+            if(min > max) {
+                throw new Error(`Goal for '${pattern}' has min ${min} greater than max ${max}`);
+            }
+            const pID = patternsIn.getOrCreateID(Pattern.of(alphabet, pattern, unions));
+            return {spec, pID, min, max};
+        }
+        function compileNode(spec: NodeSpec): ProgramNode {
+            const id = numNodes++;
+            switch(spec.kind) {
+                case 'one': {
+                    const {rules, limit, select = 'match', fields = [], observations = [], temperature = 0} = spec;
+                    const compiledFields = fields.map(field => compileField(alphabet, field, unions));
+                    const compiledObservations = observations.map(obs => compileObservation(alphabet, obs, unions));
+                    if(new Set(fields.map(field => field.for)).size !== fields.length) {
+                        throw new Error(`A 'one' node has more than one field for the same symbol`);
+                    } else if(new Set(observations.map(obs => obs.value)).size !== observations.length) {
+                        throw new Error(`A 'one' node has more than one observation of the same symbol`);
+                    } else if(fields.length > 0 && observations.length > 0) {
+                        throw new Error(`A 'one' node cannot have both fields and observations`);
+                    }
+                    return {kind: spec.kind, id, rules: rules.map(compileRule), limit, select, fields: compiledFields, observations: compiledObservations, temperature};
+                }
+                case 'all': {
+                    return {kind: spec.kind, id, rules: spec.rules.map(compileRule), limit: spec.limit};
+                }
+                case 'prl': {
+                    const {rules, limit, conflicts = 'overwrite'} = spec;
+                    return {kind: spec.kind, id, rules: rules.map(compileRule), limit, conflicts};
+                }
+                case 'path': {
+                    const {color, inertia = false, limit} = spec;
+                    if(color.length !== 1 || !alphabet.has(color)) {
+                        throw new Error(`Path color must be a single symbol, was '${color}'`);
+                    }
+                    const n = alphabet.size();
+                    const from = ISet.of(n, symbolsToIDs(alphabet, spec.from, unions));
+                    const to = ISet.of(n, symbolsToIDs(alphabet, spec.to, unions));
+                    const on = ISet.of(n, symbolsToIDs(alphabet, spec.on, unions));
+                    return {kind: spec.kind, id, from, to, on, color: alphabet.getID(color), inertia, limit};
+                }
+                case 'convolution': {
+                    const {rules, neighbourhood = 'moore', limit} = spec;
+                    return {kind: spec.kind, id, rules: rules.map(rule => compileConvolutionRule(alphabet, rule, neighbourhood, unions)), neighbourhood, limit};
+                }
+                case 'markov':
+                case 'sequence': {
+                    return {kind: spec.kind, id, children: spec.children.map(compileNode)};
+                }
+                case 'search': {
+                    const {rules, goals, maxDepth = Infinity, maxStates = DEFAULT_SEARCH_MAX_STATES} = spec;
+                    return {kind: spec.kind, id, rules: rules.map(compileRule), goals: goals.map(compileGoal), maxDepth, maxStates};
+                }
+            }
+        }
+        
+        this.root = compileNode('kind' in spec ? spec : {
+            kind: 'markov',
+            children: spec.map(rule => ({kind: 'one', rules: [rule]})),
+        });
+        this.numNodes = numNodes;
+        this.matcher = matcherData !== undefined
+            ? PatternMatcher.fromJSON(alphabet, patternsIn.map(p => p), matcherData)
+            : PatternMatcher.of(alphabet, patternsIn.map(p => p));
+    }
+    
+    public makeInterpreter(width: number, height: number, rand?: RNG, topology?: Topology): Interpreter {
+        return new Interpreter(this, width, height, rand, topology);
+    }
+}
+
+/**
+ * Runs a `Program` on a grid; see `NodeSpec` for the meaning of each step.
+ * The program is done when its root node cannot take a step.
+ * 
+ * All random choices are made using `rand`, so if it is a `PRNG` then the
+ * same seed and program produce the same grid.
+ */
+class Interpreter {
+    public readonly state: MatcherState;
+    
+    /**
+     * Maps each rule ID to the number of times the rule may still be applied,
+     * or `undefined` if the rule has no limit.
+     */
+    private readonly remainingRules: (number | undefined)[];
+    
+    /**
+     * Maps each node ID to the number of steps the node may still take, or
+     * `undefined` if the node has no limit.
+     */
+    private readonly remainingNodes: (number | undefined)[];
+    
+    /**
+     * Maps the ID of each `sequence` node to the index of its current child.
+     */
+    private readonly sequenceIndices: number[];
+    
+    /**
+     * Maps the ID of each `search` node to the applications remaining in its
+     * current solution, in reverse order, or `undefined` if it has none.
+     */
+    private readonly searchPaths: (Match[] | undefined)[];
+    
+    /**
+     * Maps the ID of each `search` node to the value of `gridChanges` when
+     * its current solution was found or last applied to, so that the
+     * solution is discarded if the grid has changed since.
+     */
+    private readonly searchChanges: number[];
+    
+    /**
+     * The number of times the grid's listeners have been notified of a
+     * change.
+     */
+    private gridChanges: number = 0;
+    
+    /**
+     * A separate state on which `search` nodes search, so that the search
+     * does not notify the grid's listeners or record history; created when
+     * first needed.
+     */
+    private searchState: MatcherState | undefined = undefined;
+    
+    /**
+     * Maps the ID of each `convolution` node to the state which tracks the
+     * cells its rules would change.
+     */
+    private readonly convolutions: (ConvolutionState | undefined)[];
+    
+    /**
+     * Maps the ID of each `one` node with fields to the distances computed
+     * for its fields, in the same order, or `undefined` if they have not been
+     * computed since the node was reset.
+     */
+    private readonly fieldDistances: (Int32Array[] | undefined)[];
+    
+    /**
+     * Maps the ID of each `one` node with observations to the backward
+     * potentials computed from its observations, indexed by symbol ID, or
+     * `undefined` if they have not been computed since the node was reset.
+     */
+    private readonly observationPotentials: (Int32Array[] | undefined)[];
+    
+    /**
+     * Maps each rule ID to the number of times the rule has been applied
+     * since the program was started or reset.
+     */
+    private readonly ruleApplications: number[];
+    
+    /**
+     * The history of the grid, if it is being recorded; see `recordHistory`.
+     */
+    private history: GridHistory | undefined = undefined;
+    
+    private done: boolean = false;
+    
+    public constructor(
+        public readonly program: Program,
+        width: number,
+        height: number,
+        private rand: RNG = MATH_RANDOM,
+        topology?: Topology,
+    ) {
+        this.state = program.matcher.makeState(width, height, topology);
+        this.remainingRules = program.rules.map(rule => rule.limit);
+        this.remainingNodes = emptyArray(program.numNodes, undefined);
+        this.sequenceIndices = emptyArray(program.numNodes, 0);
+        this.searchPaths = emptyArray(program.numNodes, undefined);
+        this.searchChanges = emptyArray(program.numNodes, 0);
+        this.fieldDistances = emptyArray(program.numNodes, undefined);
+        this.observationPotentials = emptyArray(program.numNodes, undefined);
+        
+        const convolutions: (ConvolutionState | undefined)[] = this.convolutions = emptyArray(program.numNodes, undefined);
+        const {grid} = this.state;
+        function initConvolutions(node: ProgramNode): void {
+            if(node.kind === 'convolution') {
+                convolutions[node.id] = new ConvolutionState(grid, node.rules, node.neighbourhood);
+            } else if(node.kind === 'markov' || node.kind === 'sequence') {
+                node.children.forEach(initConvolutions);
+            }
+        }
+        initConvolutions(program.root);
+        grid.listen(() => ++this.gridChanges);
+        this.ruleApplications = emptyArray(program.rules.length, 0);
+        this.resetNode(program.root);
+        this.initGrid();
+    }
+    
+    /**
+     * Indicates whether the program has finished, i.e. whether a step has
+     * been attempted when no step could be taken.
+     */
+    public isDone(): boolean {
+        return this.done;
+    }
+    
+    /**
+     * Returns the number of times each rule has been applied since the
+     * program was started or reset, indexed by rule ID.
+     */
+    public getRuleApplications(): readonly number[] {
+        return this.ruleApplications;
+    }
+    
+    /**
+     * Performs up to `n` steps, and returns `true` if the last step changed
+     * the grid, i.e. the program may not be done yet.
+     */
+    public step(n: number = 1): boolean {
+        for(let i = 0; i < n; ++i) {
+            if(this.done) { return false; }
+            this.done = !this.stepNode(this.program.root);
+            if(!this.done) { this.history?.checkpoint(); }
+        }
+        return !this.done;
+    }
+    
+    /**
+     * Starts recording the grid's history, with a checkpoint after each
+     * step, so that steps can be undone and redone. The history is cleared
+     * when the program is reset.
+     * 
+     * Undoing steps restores the grid and the matcher state, but not the
+     * interpreter's progress; continuing to step after undoing does not
+     * necessarily reproduce the same steps.
+     */
+    public recordHistory(): GridHistory {
+        return this.history = this.state.grid.recordHistory();
+    }
+    
+    /**
+     * Performs steps until the program is done, or until `maxSteps` steps
+     * have been performed. Returns the number of steps performed.
+     */
+    public run(maxSteps: number = Infinity): number {
+        let steps = 0;
+        while(steps < maxSteps && this.step()) { ++steps; }
+        return steps;
+    }
+    
+    /**
+     * Clears the grid and resets every rule's limit, so that the program can
+     * be run again from the start. If `rand` is given, it is used for all
+     * random choices from now on.
+     */
+    public reset(rand: RNG = this.rand): void {
+        this.rand = rand;
+        this.resetNode(this.program.root);
+        this.ruleApplications.fill(0);
+        this.done = false;
+        this.state.grid.clear();
+        this.initGrid();
+        this.history?.clear();
+    }
+    
+    private initGrid(): void {
+        const {program, state: {grid}} = this;
+        if(program.origin) {
+            grid.set(grid.width >> 1, grid.height >> 1, program.alphabet.getByID(1));
+        }
+    }
+    
+    private resetNode(node: ProgramNode): void {
+        switch(node.kind) {
+            case 'one':
+            case 'all':
+            case 'prl': {
+                this.remainingNodes[node.id] = node.limit;
+                if(node.kind === 'one') {
+                    this.fieldDistances[node.id] = undefined;
+                    this.observationPotentials[node.id] = undefined;
+                }
+                for(const rule of node.rules) {
+                    this.remainingRules[rule.id] = rule.limit;
+                }
+                break;
+            }
+            case 'path':
+            case 'convolution': {
+                this.remainingNodes[node.id] = node.limit;
+                break;
+            }
+            case 'search': {
+                this.searchPaths[node.id] = undefined;
+                for(const rule of node.rules) {
+                    this.remainingRules[rule.id] = rule.limit;
+                }
+                break;
+            }
+            case 'markov':
+            case 'sequence': {
+                this.sequenceIndices[node.id] = 0;
+                for(const child of node.children) {
+                    this.resetNode(child);
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Takes one step with the given node, and returns `true` if the grid was
+     * changed. If a `markov` or `sequence` node cannot take a step, it is
+     * reset; see `NodeSpec`.
+     */
+    private stepNode(node: ProgramNode): boolean {
+        switch(node.kind) {
+            case 'one':
+            case 'all':
+            case 'prl':
+            case 'path':
+            case 'convolution': {
+                const {remainingNodes} = this;
+                const limit = remainingNodes[node.id];
+                if(limit !== undefined && limit <= 0) { break; }
+                const changed = node.kind === 'convolution' ? this.convolutions[node.id]!.step()
+                    : node.kind === 'path' ? this.applyPath(node)
+                    : node.kind === 'prl' ? this.applyParallel(node.rules, node.conflicts)
+                    : node.kind === 'all' ? this.applyAll(node.rules)
+                    : node.observations.length > 0 ? this.applyOneByObservations(node)
+                    : node.fields.length > 0 ? this.applyOneByFields(node)
+                    : this.applyOne(node.rules, node.select);
+                if(changed) {
+                    if(limit !== undefined) { remainingNodes[node.id] = limit - 1; }
+                    return true;
+                }
+                break;
+            }
+            case 'markov': {
+                if(node.children.some(child => this.stepNode(child))) { return true; }
+                this.resetNode(node);
+                break;
+            }
+            case 'sequence': {
+                const {children} = node;
+                const {sequenceIndices} = this;
+                for(let i = sequenceIndices[node.id]; i < children.length; sequenceIndices[node.id] = ++i) {
+                    if(this.stepNode(children[i])) { return true; }
+                }
+                this.resetNode(node);
+                break;
+            }
+            case 'search': {
+                if(this.applySearch(node)) { return true; }
+                break;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Returns the rewrites of the given rules, excluding rules which have
+     * reached their limits.
+     */
+    private getRewrites(rules: readonly Rule[]): Rewrite[] {
+        const {remainingRules} = this;
+        const rewrites: Rewrite[] = [];
+        for(const rule of rules) {
+            const limit = remainingRules[rule.id];
+            if(limit !== undefined && limit <= 0) { continue; }
+            rewrites.push(...rule.rewrites);
+        }
+        return rewrites;
+    }
+    
+    /**
+     * Returns every match of the given rules, in a random order.
+     */
+    private getShuffledMatches(rules: readonly Rule[]): Match[] {
+        const {state} = this;
+        const matches: Match[] = [];
+        for(const {pID, qID, ruleID} of this.getRewrites(rules)) {
+            for(const {x, y} of state.getMatches(pID)) {
+                matches.push({x, y, pID, qID, ruleID});
+            }
+        }
+        shuffle(matches, this.rand);
+        return matches;
+    }
+    
+    /**
+     * Writes the output pattern of a match to the grid, and counts the
+     * application towards the rule's limit. Returns `false` if the rule has
+     * reached its limit, in which case the grid is not changed.
+     */
+    private rewrite(match: Match): boolean {
+        const {remainingRules} = this;
+        const limit = remainingRules[match.ruleID];
+        if(limit !== undefined) {
+            if(limit <= 0) { return false; }
+            remainingRules[match.ruleID] = limit - 1;
+        }
+        this.state.grid.setPattern(match.x, match.y, this.program.patternsOut.getByID(match.qID));
+        ++this.ruleApplications[match.ruleID];
+        return true;
+    }
+    
+    /**
+     * Applies one of the given rules at a position chosen at random according
+     * to the selection mode and weights, and returns `true` if a rule was
+     * applied.
+     */
+    private applyOne(rules: readonly Rule[], select: MatchSelection): boolean {
+        const {state, rand} = this;
+        
+        let rewrites = this.getRewrites(rules);
+        if(select === 'rule') {
+            const ruleWeights = rules.map(rule => rewrites.some(r => r.ruleID === rule.id && state.countMatches(r.pID) > 0) ? rule.weight : 0);
+            const i = weightedChoice(ruleWeights, rand);
+            if(i < 0) { return false; }
+            rewrites = rewrites.filter(r => r.ruleID === rules[i].id);
+        }
+        
+        // each match is chosen with probability proportional to the weight of its rewrite
+        const weights = rewrites.map(r => state.countMatches(r.pID) * r.weight);
+        const i = weightedChoice(weights, rand);
+        if(i < 0) { return false; }
+        
+        const {pID, qID, ruleID} = rewrites[i];
+        const {x, y} = state.getRandomMatch(pID, rand)!;
+        return this.rewrite({x, y, pID, qID, ruleID});
+    }
+    
+    /**
+     * Applies one of the `one` node's rules at a match chosen according to
+     * the node's fields, and returns `true` if a rule was applied.
+     */
+    private applyOneByFields(node: ProgramNode & {kind: 'one'}): boolean {
+        const {state: {grid}, program, fieldDistances} = this;
+        const {fields} = node;
+        
+        let distances = fieldDistances[node.id];
+        if(distances === undefined) {
+            distances = fieldDistances[node.id] = fields.map(field => computeDistances(grid, field.to, field.on));
+        } else {
+            fields.forEach((field, i) => {
+                if(field.recompute) { distances![i] = computeDistances(grid, field.to, field.on); }
+            });
+        }
+        
+        // maps each symbol ID to the index of its field, or -1 if it has none
+        const fieldIndices = emptyArray(program.alphabet.size(), -1);
+        fields.forEach((field, i) => fieldIndices[field.forID] = i);
+        /**
+         * Returns the potential of the symbol `c` at the given index, or
+         * `undefined` if it has no field, or `NaN` if it has no potential there.
+         */
+        function potential(c: number, index: number): number | undefined {
+            const i = fieldIndices[c];
+            if(i < 0) { return undefined; }
+            const d = distances![i][index];
+            return d < 0 ? NaN : fields[i].inversed ? -d : d;
+        }
+        return this.applyOneByPotential(node, potential);
+    }
+    
+    /**
+     * Applies one of the `one` node's rules at a match chosen according to
+     * the backward potentials of the node's observations, and returns `true`
+     * if a rule was applied. The observations are made when the node first
+     * takes a step after being reset.
+     */
+    private applyOneByObservations(node: ProgramNode & {kind: 'one'}): boolean {
+        const {state: {grid}, program, observationPotentials} = this;
+        
+        let potentials = observationPotentials[node.id];
+        if(potentials === undefined) {
+            potentials = observationPotentials[node.id] = observeFuture(grid, node.observations);
+            const rewrites = node.rules.flatMap(rule => rule.rewrites);
+            computeBackwardPotentials(grid, potentials, rewrites, program.matcher.patterns, program.patternsOut);
+        }
+        if(isFutureReached(grid, potentials)) { return false; }
+        
+        return this.applyOneByPotential(node, (c, index) => {
+            const t = potentials![c][index];
+            return t >= 0 ? t : NaN;
+        });
+    }
+    
+    /**
+     * Applies one of the `one` node's rules at a match chosen to minimise the
+     * change in the total potential of the cells it writes, according to the
+     * node's `temperature`, and returns `true` if a rule was applied. The
+     * potential function returns `undefined` for symbols which have no
+     * potential anywhere, or `NaN` where a symbol has no potential.
+     */
+    private applyOneByPotential(node: ProgramNode & {kind: 'one'}, potential: (c: number, index: number) => number | undefined): boolean {
+        const {state, rand, program} = this;
+        const {grid} = state;
+        const {temperature} = node;
+        
+        const matches: Match[] = [], deltas: number[] = [], weights: number[] = [];
+        for(const {pID, qID, ruleID, weight} of this.getRewrites(node.rules)) {
+            if(weight <= 0) { continue; }
+            const {vectorData} = program.patternsOut.getByID(qID);
+            for(const {x, y} of state.getMatches(pID)) {
+                let delta = 0;
+                for(let i = 0; i < vectorData.length; i += 3) {
+                    const index = grid.index(x + vectorData[i], y + vectorData[i + 1]);
+                    const c = vectorData[i + 2], old = grid.grid[index];
+                    if(c === old) { continue; }
+                    // NaN propagates, so the match is excluded if the new symbol has no potential here
+                    const oldPotential = potential(old, index);
+                    delta += (potential(c, index) ?? 0) - (oldPotential !== undefined && !Number.isNaN(oldPotential) ? oldPotential : 0);
+                }
+                if(Number.isNaN(delta)) { continue; }
+                matches.push({x, y, pID, qID, ruleID});
+                deltas.push(delta);
+                weights.push(weight);
+            }
+        }
+        
+        const minDelta = deltas.reduce((a, b) => Math.min(a, b), Infinity);
+        const i = weightedChoice(
+            temperature > 0
+                ? weights.map((w, i) => w * Math.exp((minDelta - deltas[i]) / temperature))
+                : weights.map((w, i) => deltas[i] === minDelta ? w : 0),
+            rand,
+        );
+        return i >= 0 && this.rewrite(matches[i]);
+    }
+    
+    /**
+     * Draws a shortest path for the `path` node, and returns `true` if the
+     * grid was changed.
+     */
+    private applyPath(node: ProgramNode & {kind: 'path'}): boolean {
+        const {state: {grid}, rand} = this;
+        const distances = computeDistances(grid, node.to, node.on);
+        
+        // find the `from` cells with the shortest paths, and the first step of each path
+        let bestDistance = Infinity;
+        let starts: number[] = [];
+        for(let i = 0; i < distances.length; ++i) {
+            if(!ISet.has(node.from, grid.grid[i])) { continue; }
+            let d = Infinity;
+            for(const j of getNeighbours(grid, i)) {
+                if(j >= 0 && distances[j] >= 0) { d = Math.min(d, distances[j]); }
+            }
+            if(d < bestDistance) {
+                bestDistance = d;
+                starts = [];
+            }
+            if(d === bestDistance && d < Infinity) { starts.push(i); }
+        }
+        if(starts.length === 0) { return false; }
+        
+        // follow the distances down to a `to` cell, which is not written to
+        const indices: number[] = [];
+        let index = starts[rand.nextInt(starts.length)];
+        let direction = -1;
+        for(let d = bestDistance; d > 0; --d) {
+            const neighbours = getNeighbours(grid, index);
+            const directions = neighbours.flatMap((j, k) => j >= 0 && distances[j] === d ? [k] : []);
+            if(!node.inertia || !directions.includes(direction)) {
+                direction = directions[rand.nextInt(directions.length)];
+            }
+            index = neighbours[direction];
+            indices.push(index);
+        }
+        
+        if(indices.every(i => grid.grid[i] === node.color)) { return false; }
+        grid.setCells(indices, emptyArray(indices.length, node.color));
+        return true;
+    }
+    
+    /**
+     * Applies the next rule in the `search` node's solution, searching for a
+     * new solution if there is none or the grid has changed since the node
+     * last applied a rule. Returns `true` if a rule was applied, or `false`
+     * if the goals already hold.
+     */
+    private applySearch(node: ProgramNode & {kind: 'search'}): boolean {
+        const {state, searchPaths, searchChanges} = this;
+        let path = searchPaths[node.id];
+        if(path === undefined || searchChanges[node.id] !== this.gridChanges) {
+            const {grid} = state;
+            const searchState = this.searchState ??= this.program.matcher.makeState(grid.width, grid.height, {periodicX: grid.periodicX, periodicY: grid.periodicY});
+            searchState.grid.load(grid.grid);
+            path = searchPaths[node.id] = Search.findPath(
+                searchState,
+                this.program.patternsOut,
+                this.getRewrites(node.rules),
+                this.remainingRules,
+                node.goals,
+                node,
+                this.rand,
+            ).reverse();
+            searchChanges[node.id] = this.gridChanges;
+        }
+        const next = path.pop();
+        if(next === undefined) { return false; }
+        const applied = this.rewrite(next);
+        searchChanges[node.id] = this.gridChanges;
+        return applied;
+    }
+    
+    /**
+     * Applies the given rules at a maximal set of matches whose outputs do
+     * not overlap, and returns `true` if any rule was applied. Matches are
+     * considered in a random order, and each is rewritten unless its output
+     * overlaps with an earlier rewrite, or it is no longer a match.
+     */
+    private applyAll(rules: readonly Rule[]): boolean {
+        const {program, state} = this;
+        const {grid} = state;
+        const written = new Uint8Array(grid.width * grid.height);
+        
+        let changed = false;
+        for(const match of this.getShuffledMatches(rules)) {
+            const {x, y, pID, qID} = match;
+            if(!state.hasMatch(pID, x, y)) { continue; }
+            
+            const {vectorData} = program.patternsOut.getByID(qID);
+            let overlaps = false;
+            for(let i = 0; i < vectorData.length; i += 3) {
+                if(written[grid.index(x + vectorData[i], y + vectorData[i + 1])] !== 0) {
+                    overlaps = true;
+                    break;
+                }
+            }
+            if(overlaps || !this.rewrite(match)) { continue; }
+            
+            for(let i = 0; i < vectorData.length; i += 3) {
+                written[grid.index(x + vectorData[i], y + vectorData[i + 1])] = 1;
+            }
+            changed = true;
+        }
+        return changed;
+    }
+    
+    /**
+     * Applies the given rules at every match simultaneously, resolving
+     * conflicts according to the given policy, and returns `true` if any rule
+     * was applied. Matches are determined before any are rewritten.
+     */
+    private applyParallel(rules: readonly Rule[], conflicts: ConflictPolicy): boolean {
+        const {program, state: {grid}} = this;
+        let matches = this.getShuffledMatches(rules);
+        
+        if(conflicts === 'skip') {
+            // count how many matches write to each cell; at most 2 is needed
+            const writeCounts = new Uint8Array(grid.width * grid.height);
+            function forEachIndex(match: Match, f: (index: number) => void): void {
+                const {vectorData} = program.patternsOut.getByID(match.qID);
+                for(let i = 0; i < vectorData.length; i += 3) {
+                    f(grid.index(match.x + vectorData[i], match.y + vectorData[i + 1]));
+                }
+            }
+            for(const match of matches) {
+                forEachIndex(match, index => writeCounts[index] = Math.min(writeCounts[index] + 1, 2));
+            }
+            matches = matches.filter(match => {
+                let ok = true;
+                forEachIndex(match, index => ok &&= writeCounts[index] === 1);
+                return ok;
+            });
+        }
+        
+        let changed = false;
+        for(const match of matches) {
+            changed = this.rewrite(match) || changed;
+        }
+        return changed;
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * A source of randomness; `nextInt(n)` returns a random integer from 0 to
+ * n - 1, and `nextFloat()` returns a random number from 0 (inclusive) to 1
+ * (exclusive).
+ */
+type RNG = Readonly<{
+    nextInt(n: number): number,
+    nextFloat(): number,
+}>
+
+/**
+ * The default source of randomness, using `Math.random`. It cannot be seeded,
+ * so results using it are not reproducible; use a `PRNG` instead.
+ */
+const MATH_RANDOM: RNG = {
+    nextInt: n => Math.floor(Math.random() * n),
+    nextFloat: Math.random,
+};
+
+/**
+ * A seedable pseudorandom number generator. Given the same seed, the same
+ * sequence of numbers is generated on any platform, since only 32-bit integer
+ * arithmetic is used.
+ * 
+ * https://prng.di.unimi.it/xoshiro128starstar.c
+ */
+class PRNG implements RNG {
+    /**
+     * The 128-bit state of the generator, which must not be all zeroes.
+     */
+    private readonly s = new Uint32Array(4);
+    
+    public constructor(seed: number) {
+        // initialise the state using splitmix32, as recommended by the xoshiro authors
+        const {s} = this;
+        let z = seed | 0;
+        for(let i = 0; i < 4; ++i) {
+            z = (z + 0x9E3779B9) | 0;
+            let t = z ^ (z >>> 16);
+            t = Math.imul(t, 0x21F0AAAD);
+            t ^= t >>> 15;
+            t = Math.imul(t, 0x735A2D97);
+            s[i] = t ^ (t >>> 15);
+        }
+    }
+    
+    /**
+     * Returns a pseudorandom integer from 0 to 2^32 - 1.
+     */
+    public nextUint32(): number {
+        const {s} = this;
+        const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl(s[3], 11);
+        return result;
+    }
+    
+    /**
+     * Returns a pseudorandom integer from 0 to n - 1, where n is at most 2^32.
+     */
+    public nextInt(n: number): number {
+        return Math.floor(this.nextFloat() * n);
+    }
+    
+    /**
+     * Returns a pseudorandom number from 0 (inclusive) to 1 (exclusive).
+     */
+    public nextFloat(): number {
+        return this.nextUint32() / 0x100000000;
+    }
+}
+
+/**
+ * Returns a random index into the array `weights`, chosen with probability
+ * proportional to the weight at that index, or -1 if every weight is zero.
+ * Weights must be non-negative.
+ */
+function weightedChoice(weights: readonly number[], rand: RNG): number {
+    const total = weights.reduce((a, b) => a + b, 0);
+    if(total <= 0) { return -1; }
+    
+    let r = rand.nextFloat() * total;
+    let last = -1;
+    for(let i = 0; i < weights.length; ++i) {
+        if(weights[i] <= 0) { continue; }
+        r -= weights[i];
+        if(r < 0) { return i; }
+        last = i;
+    }
+    // only reachable due to floating-point rounding error
+    return last;
+}
+
+/**
+ * Rotates the bits of a 32-bit integer left by `k` places.
+ */
+function rotl(x: number, k: number): number {
+    return (x << k) | (x >>> (32 - k));
+}
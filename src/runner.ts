@@ -0,0 +1,322 @@
+///<reference path="main.ts"/>
+///<reference path="markovjunior.ts"/>
+///<reference path="platform.ts"/>
+
+/**
+ * The program to be run by a `Runner`; programs cannot be sent to a worker
+ * directly, so they are sent as source:
+ * - `'demo'`: the demo's rules; see `makeDemoProgram`.
+ * - `'markovjunior'`: a model in MarkovJunior's XML format; see `MarkovJunior.load`.
+ */
+type RunnerProgramSource = Readonly<
+    | {kind: 'demo', size: number}
+    | {kind: 'markovjunior', src: string}
+>
+
+/**
+ * A command sent to a `Runner`:
+ * - `'load'`: compiles a program, and creates a grid to run it on. If no
+ *   `seed` is given, the run is not reproducible.
+ * - `'resume'`: runs the program in batches of `stepsPerBatch` steps, until
+ *   it is paused or done.
+ * - `'pause'`: stops running the program after the current batch.
+ * - `'step'`: performs `n` steps, whether or not the program is paused.
+ * - `'reset'`: clears the grid and restarts the program, optionally with a
+ *   new seed; the runner is paused.
+ */
+type RunnerCommand = Readonly<
+    | {kind: 'load', program: RunnerProgramSource, width: number, height: number, seed?: number}
+    | {kind: 'resume', stepsPerBatch?: number}
+    | {kind: 'pause'}
+    | {kind: 'step', n?: number}
+    | {kind: 'reset', seed?: number}
+>
+
+/**
+ * A rectangular area of the grid from minX/Y (inclusive) to maxX/Y
+ * (exclusive), and the symbol IDs in that area; see `Grid.getRect`.
+ */
+type RunnerRect = Readonly<{
+    minX: number,
+    minY: number,
+    maxX: number,
+    maxY: number,
+    data: UintArray,
+}>
+
+/**
+ * An event sent by a `Runner`:
+ * - `'loaded'`: a program was loaded; the grid is initially filled with the
+ *   first symbol of the alphabet.
+ * - `'changes'`: some areas of the grid changed, and `steps` steps have been
+ *   performed since the program was loaded or reset.
+ * - `'done'`: the program finished after `steps` steps.
+ * - `'error'`: a command failed.
+ */
+type RunnerEvent = Readonly<
+    | {kind: 'loaded', alphabet: readonly string[], width: number, height: number}
+    | {kind: 'changes', steps: number, rects: readonly RunnerRect[]}
+    | {kind: 'done', steps: number}
+    | {kind: 'error', message: string}
+>
+
+/**
+ * The default number of steps performed per batch by a running `Runner`.
+ */
+const DEFAULT_STEPS_PER_BATCH = 256;
+
+/**
+ * The maximum number of changed areas sent in one `'changes'` event; if more
+ * areas changed, they are merged into their bounding box.
+ */
+const MAX_RUNNER_RECTS = 64;
+
+/**
+ * Runs a program in response to commands, and reports changes to the grid
+ * as events. The runner does not depend on where it is hosted; see
+ * `hostRunnerIfWorker`.
+ */
+class Runner {
+    private interpreter: Interpreter | undefined = undefined;
+    private steps = 0;
+    private running = false;
+    private scheduled = false;
+    private stepsPerBatch = DEFAULT_STEPS_PER_BATCH;
+    
+    /**
+     * The areas of the grid which have changed since the last `'changes'` event.
+     */
+    private changedRects: [number, number, number, number][] = [];
+    
+    public constructor(private readonly post: (event: RunnerEvent) => void) {}
+    
+    /**
+     * Performs a command. If it fails, an `'error'` event is sent; likewise
+     * if a step fails while the runner is running, and then the runner is
+     * paused.
+     */
+    public handle(command: RunnerCommand): void {
+        try {
+            this.handleUnsafe(command);
+        } catch(e) {
+            this.postError(e);
+        }
+    }
+    
+    private postError(e: unknown): void {
+        this.post({kind: 'error', message: e instanceof Error ? e.message : String(e)});
+    }
+    
+    private handleUnsafe(command: RunnerCommand): void {
+        if(command.kind === 'load') {
+            this.load(command.program, command.width, command.height, command.seed);
+            return;
+        }
+        
+        const {interpreter} = this;
+        if(interpreter === undefined) { throw new Error(`No program is loaded`); }
+        switch(command.kind) {
+            case 'resume': {
+                this.stepsPerBatch = command.stepsPerBatch ?? this.stepsPerBatch;
+                this.running = true;
+                this.schedule();
+                break;
+            }
+            case 'pause': {
+                this.running = false;
+                break;
+            }
+            case 'step': {
+                this.doSteps(interpreter, command.n ?? 1);
+                break;
+            }
+            case 'reset': {
+                this.running = false;
+                this.steps = 0;
+                interpreter.reset(command.seed !== undefined ? new PRNG(command.seed) : undefined);
+                this.flush();
+                break;
+            }
+        }
+    }
+    
+    private load(source: RunnerProgramSource, width: number, height: number, seed: number | undefined): void {
+        const program = source.kind === 'demo'
+            ? makeDemoProgram(source.size)
+            : MarkovJunior.load(source.src);
+        
+        const interpreter = this.interpreter = program.makeInterpreter(width, height, seed !== undefined ? new PRNG(seed) : undefined);
+        this.running = false;
+        this.steps = 0;
+        this.post({kind: 'loaded', alphabet: program.alphabet.map(s => s), width, height});
+        
+        const {grid} = interpreter.state;
+        grid.listen((minX, minY, maxX, maxY) => {
+            // the old interpreter's grid is no longer reported
+            if(this.interpreter === interpreter) { this.changedRects.push([minX, minY, maxX, maxY]); }
+        });
+        // the interpreter may already have initialised the grid
+        this.changedRects.push([0, 0, width, height]);
+        this.flush();
+    }
+    
+    private schedule(): void {
+        if(this.scheduled) { return; }
+        this.scheduled = true;
+        // yield between batches, so that commands can be received
+        setTimeout(() => {
+            this.scheduled = false;
+            const {interpreter} = this;
+            if(this.running && interpreter !== undefined) {
+                try {
+                    this.doSteps(interpreter, this.stepsPerBatch);
+                } catch(e) {
+                    // stop running, since the same step would likely fail again
+                    this.running = false;
+                    this.postError(e);
+                }
+                if(this.running) { this.schedule(); }
+            }
+        }, 0);
+    }
+    
+    private doSteps(interpreter: Interpreter, n: number): void {
+        this.steps += interpreter.run(n);
+        this.flush();
+        if(interpreter.isDone()) {
+            this.running = false;
+            this.post({kind: 'done', steps: this.steps});
+        }
+    }
+    
+    /**
+     * Sends a `'changes'` event for the areas which have changed, if any.
+     */
+    private flush(): void {
+        const {interpreter} = this;
+        let {changedRects} = this;
+        if(interpreter === undefined || changedRects.length === 0) { return; }
+        this.changedRects = [];
+        
+        if(changedRects.length > MAX_RUNNER_RECTS) {
+            const box = changedRects.reduce((a, b) => [
+                Math.min(a[0], b[0]),
+                Math.min(a[1], b[1]),
+                Math.max(a[2], b[2]),
+                Math.max(a[3], b[3]),
+            ]);
+            changedRects = [box];
+        }
+        
+        const {grid} = interpreter.state;
+        const rects = changedRects.map(([minX, minY, maxX, maxY]) => ({
+            minX,
+            minY,
+            maxX,
+            maxY,
+            data: grid.getRect(minX, minY, maxX, maxY),
+        }));
+        this.post({kind: 'changes', steps: this.steps, rects});
+    }
+}
+
+/**
+ * Controls a `Runner` hosted elsewhere, e.g. in a worker, and keeps a copy
+ * of its grid up-to-date. Listeners on the copy are notified of changes in
+ * the same way as for the runner's grid.
+ */
+class RunnerClient {
+    /**
+     * Creates a client for a `Runner` hosted in the given Web Worker; see
+     * `hostRunnerIfWorker`.
+     */
+    public static forWorker(worker: Worker, onEvent?: (event: RunnerEvent) => void): RunnerClient {
+        const client = new RunnerClient(command => worker.postMessage(command), onEvent);
+        worker.addEventListener('message', e => client.receive(e.data));
+        return client;
+    }
+    
+    /**
+     * A copy of the runner's grid, or `undefined` if no program is loaded.
+     */
+    public grid: Grid | undefined = undefined;
+    
+    /**
+     * The number of steps the runner has performed since the program was
+     * loaded or reset.
+     */
+    public steps = 0;
+    
+    public constructor(
+        private readonly post: (command: RunnerCommand) => void,
+        /**
+         * Called after each event from the runner has been applied to `grid`.
+         */
+        private readonly onEvent: (event: RunnerEvent) => void = () => {},
+    ) {}
+    
+    /**
+     * Updates this client from an event sent by the runner. This must be
+     * called for every event, in order.
+     */
+    public receive(event: RunnerEvent): void {
+        switch(event.kind) {
+            case 'loaded': {
+                this.grid = new Grid(IDMap.of(event.alphabet), event.width, event.height);
+                this.steps = 0;
+                break;
+            }
+            case 'changes': {
+                const {grid} = this;
+                for(const r of event.rects) {
+                    grid?.loadRect(r.minX, r.minY, r.maxX, r.maxY, r.data);
+                }
+                this.steps = event.steps;
+                break;
+            }
+            case 'done': {
+                this.steps = event.steps;
+                break;
+            }
+        }
+        this.onEvent(event);
+    }
+    
+    public load(program: RunnerProgramSource, width: number, height: number, seed?: number): void {
+        this.post({kind: 'load', program, width, height, seed});
+    }
+    public resume(stepsPerBatch?: number): void {
+        this.post({kind: 'resume', stepsPerBatch});
+    }
+    public pause(): void {
+        this.post({kind: 'pause'});
+    }
+    public step(n?: number): void {
+        this.post({kind: 'step', n});
+    }
+    public reset(seed?: number): void {
+        this.post({kind: 'reset', seed});
+    }
+}
+
+/**
+ * If this script is running in a Web Worker or a Node.js worker thread,
+ * hosts a `Runner` which receives commands as messages from the parent, and
+ * posts events back to it. Otherwise, does nothing.
+ */
+function hostRunnerIfWorker(): void {
+    if(typeof WorkerGlobalScope === 'function' && self instanceof WorkerGlobalScope) {
+        const runner = new Runner(event => self.postMessage(event));
+        self.addEventListener('message', e => runner.handle(e.data));
+        return;
+    }
+    
+    const workerThreads = getNodeWorkerThreads();
+    if(workerThreads !== undefined && !workerThreads.isMainThread && workerThreads.parentPort !== null) {
+        const {parentPort} = workerThreads;
+        const runner = new Runner(event => parentPort.postMessage(event));
+        parentPort.on('message', command => runner.handle(command));
+    }
+}
+
+hostRunnerIfWorker();
@@ -59,12 +59,28 @@ class SampleableSet<T> {
         }
     }
     
+    /**
+     * Calls the function `f` for each member of the set, in no particular
+     * order. The set must not be modified during the iteration.
+     */
+    public forEach(f: (x: T) => void): void {
+        this.arr.forEach(x => f(x));
+    }
+    
+    /**
+     * Returns a new array of the set's members, in no particular order, in
+     * O(n) time.
+     */
+    public toArray(): T[] {
+        return this.arr.slice();
+    }
+    
     /**
      * Returns a random element from the set in O(1) time, or `undefined` if
      * the set is empty.
      */
-    public sample(): T | undefined {
+    public sample(rand: RNG = MATH_RANDOM): T | undefined {
         const {arr} = this;
-        return arr.length > 0 ? arr[rng(arr.length)] : undefined;
+        return arr.length > 0 ? arr[rand.nextInt(arr.length)] : undefined;
     }
 }
@@ -0,0 +1,239 @@
+///<reference path="matcher.ts"/>
+///<reference path="random.ts"/>
+
+/**
+ * Specifies a goal for a `search` node; the goal holds when the number of
+ * matches of `pattern` is at least `min` and at most `max`. The pattern is
+ * matched as written, without symmetries. For example, `{pattern: 'R', max: 0}`
+ * holds when no cell is `R`.
+ */
+type GoalSpec = Readonly<{
+    pattern: string,
+    min?: number,
+    max?: number,
+}>
+
+/**
+ * A compiled goal; `pID` is the ID of the goal's pattern in the program's matcher.
+ */
+type Goal = Readonly<{
+    spec: GoalSpec,
+    pID: number,
+    min: number,
+    max: number,
+}>
+
+/**
+ * Limits on how far a `search` node searches:
+ * - `maxDepth`: the maximum number of rewrites in a solution.
+ * - `maxStates`: the maximum number of distinct grid states to explore,
+ *   before the search gives up.
+ */
+type SearchLimits = Readonly<{
+    maxDepth: number,
+    maxStates: number,
+}>
+
+/**
+ * The default number of distinct grid states a `search` node explores before
+ * giving up.
+ */
+const DEFAULT_SEARCH_MAX_STATES = 100000;
+
+namespace Search {
+    /**
+     * A rewrite applied during the search, with the previous symbols of the
+     * cells it wrote, so that it can be undone.
+     */
+    type Move = Readonly<{
+        match: Match,
+        indices: readonly number[],
+        oldValues: readonly number[],
+    }>
+    
+    /**
+     * Searches for a sequence of rewrites which leads from the current state
+     * of the grid to a state where every goal holds, and returns the matches
+     * in the order they should be applied. If the goals already hold, the
+     * result is empty. An error is thrown if no solution is found within the
+     * limits.
+     * 
+     * The search is depth-first, with backtracking; the successors of each
+     * state are explored in increasing order of how far they are from
+     * satisfying the goals, with ties broken at random. Each grid state is
+     * explored at most once; states are identified by a 53-bit Zobrist hash,
+     * so in the unlikely event of a hash collision, a state may be skipped.
+     * 
+     * The search is performed by rewriting `state`'s grid, so the caller
+     * should pass a separate state which it does not otherwise depend on.
+     */
+    export function findPath(
+        state: MatcherState,
+        patternsOut: IDMap<Pattern>,
+        rewrites: readonly Rewrite[],
+        remainingRules: readonly (number | undefined)[],
+        goals: readonly Goal[],
+        limits: SearchLimits,
+        rand: RNG = MATH_RANDOM,
+    ): Match[] {
+        const {grid} = state;
+        const remaining = remainingRules.slice();
+        
+        let bestDistance = distance(state, goals);
+        let bestCounts = goals.map(g => state.countMatches(g.pID));
+        if(bestDistance === 0) { return []; }
+        
+        // the hash of the grid is the XOR of a random number for each cell's
+        // symbol, so it is updated in O(1) time per cell written; two 32-bit
+        // hashes are combined into one key
+        const k = grid.alphabet.size();
+        const zobristRand = new PRNG(0);
+        const zobristLo = new Int32Array(grid.grid.length * k), zobristHi = new Int32Array(grid.grid.length * k);
+        for(let i = 0; i < zobristLo.length; ++i) {
+            zobristLo[i] = zobristRand.nextUint32();
+            zobristHi[i] = zobristRand.nextUint32();
+        }
+        let hashLo = 0, hashHi = 0;
+        function toggle(index: number): void {
+            const z = index * k + grid.grid[index];
+            hashLo ^= zobristLo[z];
+            hashHi ^= zobristHi[z];
+        }
+        function key(): number {
+            return (hashHi >>> 0) * 0x200000 + (hashLo >>> 11);
+        }
+        for(let i = 0; i < grid.grid.length; ++i) { toggle(i); }
+        
+        const visited = new Set<number>([key()]);
+        const path: Move[] = [];
+        
+        function write(indices: readonly number[], values: readonly number[]): void {
+            const distinct = new Set(indices);
+            for(const index of distinct) { toggle(index); }
+            grid.setCells(indices, values);
+            for(const index of distinct) { toggle(index); }
+        }
+        function apply(match: Match): Move {
+            const {vectorData} = patternsOut.getByID(match.qID);
+            const indices: number[] = [], values: number[] = [], oldValues: number[] = [];
+            for(let i = 0; i < vectorData.length; i += 3) {
+                const index = grid.index(match.x + vectorData[i], match.y + vectorData[i + 1]);
+                indices.push(index);
+                values.push(vectorData[i + 2]);
+                oldValues.push(grid.grid[index]);
+            }
+            write(indices, values);
+            return {match, indices, oldValues};
+        }
+        function undo(move: Move): void {
+            write(move.indices.slice().reverse(), move.oldValues.slice().reverse());
+        }
+        function push(match: Match): void {
+            path.push(apply(match));
+            const limit = remaining[match.ruleID];
+            if(limit !== undefined) { remaining[match.ruleID] = limit - 1; }
+        }
+        function pop(): void {
+            const move = path.pop()!;
+            undo(move);
+            const limit = remaining[move.match.ruleID];
+            if(limit !== undefined) { remaining[move.match.ruleID] = limit + 1; }
+        }
+        
+        /**
+         * Returns the unvisited successors of the current state in the order
+         * they should be explored, or a single successor if it satisfies the
+         * goals.
+         */
+        function getSuccessors(): Match[] {
+            const matches: Match[] = [];
+            for(const {pID, qID, ruleID, weight} of rewrites) {
+                const limit = remaining[ruleID];
+                if(weight <= 0 || (limit !== undefined && limit <= 0)) { continue; }
+                for(const {x, y} of state.getMatches(pID)) {
+                    matches.push({x, y, pID, qID, ruleID});
+                }
+            }
+            shuffle(matches, rand);
+            
+            const successors: {match: Match, distance: number}[] = [];
+            for(const match of matches) {
+                const move = apply(match);
+                const stateKey = key();
+                if(!visited.has(stateKey)) {
+                    if(visited.size >= limits.maxStates) {
+                        undo(move);
+                        throw new Error(`Search gave up after exploring ${visited.size} states; ${describeGoals(goals, bestCounts)}`);
+                    }
+                    visited.add(stateKey);
+                    
+                    const d = distance(state, goals);
+                    if(d < bestDistance) {
+                        bestDistance = d;
+                        bestCounts = goals.map(g => state.countMatches(g.pID));
+                    }
+                    successors.push({match, distance: d});
+                }
+                undo(move);
+                if(successors.length > 0 && successors[successors.length - 1].distance === 0) { break; }
+            }
+            
+            // sorting is stable, so ties remain in random order
+            successors.sort((a, b) => a.distance - b.distance);
+            return successors.map(s => s.match);
+        }
+        
+        // each frame holds the successors of a state on the path, and the index of the next one to explore
+        const frames: {successors: Match[], next: number}[] = [{successors: getSuccessors(), next: 0}];
+        while(frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            if(frame.next >= frame.successors.length) {
+                // backtrack
+                frames.pop();
+                if(path.length > 0) { pop(); }
+                continue;
+            }
+            
+            push(frame.successors[frame.next++]);
+            if(distance(state, goals) === 0) {
+                return path.map(move => move.match);
+            }
+            frames.push({successors: path.length < limits.maxDepth ? getSuccessors() : [], next: 0});
+        }
+        
+        const depth = Number.isFinite(limits.maxDepth) ? ` within ${limits.maxDepth} rewrites` : '';
+        throw new Error(`Search found no solution${depth} after exploring ${visited.size} states; ${describeGoals(goals, bestCounts)}`);
+    }
+    
+    /**
+     * Returns how far the grid is from satisfying the goals, as the total
+     * number of matches too few or too many; this is zero if and only if
+     * every goal holds.
+     */
+    function distance(state: MatcherState, goals: readonly Goal[]): number {
+        let d = 0;
+        for(const {pID, min, max} of goals) {
+            const count = state.countMatches(pID);
+            d += Math.max(0, min - count) + Math.max(0, count - max);
+        }
+        return d;
+    }
+    
+    /**
+     * Describes the goals which do not hold for the given match counts, for
+     * diagnostics.
+     */
+    function describeGoals(goals: readonly Goal[], counts: readonly number[]): string {
+        const unmet: string[] = [];
+        goals.forEach(({spec, min, max}, i) => {
+            const count = counts[i];
+            if(count < min || count > max) {
+                const wanted = min === max ? `exactly ${min}`
+                    : count < min ? `at least ${min}`
+                    : `at most ${max}`;
+                unmet.push(`${count} ${count === 1 ? 'match' : 'matches'} of '${spec.pattern}' (wanted ${wanted})`);
+            }
+        });
+        return `the closest state found has ${unmet.join(', ')}`;
+    }
+}
@@ -1,24 +1,197 @@
 ///<reference path="pattern.ts"/>
+///<reference path="pattern3d.ts"/>
 
 namespace Symmetry {
-    type SymmetryFunction = (p: Pattern) => Pattern
+    type SymmetryFunction<P> = (p: P) => P
     
-    const GENERATING_SET: readonly SymmetryFunction[] = [Pattern.rotate, Pattern.reflect];
+    /**
+     * A named symmetry group of the square:
+     * - `'none'`: only the identity.
+     * - `'mirrorX'`: reflection from left to right.
+     * - `'mirrorY'`: reflection from top to bottom.
+     * - `'mirrorXY'`: both reflections, and therefore also 180° rotation.
+     * - `'rotate180'`: 180° rotation.
+     * - `'rotate'`: all four rotations.
+     * - `'all'`: all rotations and reflections.
+     */
+    export type Group = 'none' | 'mirrorX' | 'mirrorY' | 'mirrorXY' | 'rotate180' | 'rotate' | 'all'
     
-    export function generate(patternIn: Pattern, patternOut: Pattern, symmetries: readonly SymmetryFunction[] = GENERATING_SET): [Pattern, Pattern][] {
+    /**
+     * A named symmetry group of the cube:
+     * - `'none'`: only the identity.
+     * - `'mirrorX'`: reflection from left to right.
+     * - `'mirrorZ'`: reflection from bottom to top.
+     * - `'allXY'`: all rotations and reflections in the XY plane.
+     * - `'rotate'`: all 24 rotations.
+     * - `'all'`: all 48 rotations and reflections.
+     */
+    export type Group3D = 'none' | 'mirrorX' | 'mirrorZ' | 'allXY' | 'rotate' | 'all'
+    
+    /**
+     * A transformation of the square:
+     * - `'identity'`: no change.
+     * - `'rotate90'`, `'rotate180'`, `'rotate270'`: clockwise rotations.
+     * - `'mirrorX'`: reflection from left to right.
+     * - `'mirrorY'`: reflection from top to bottom.
+     * - `'mirrorDiagonal'`: reflection in the diagonal through the top-left
+     *   corner, swapping the x and y coordinates.
+     * - `'mirrorAntiDiagonal'`: reflection in the other diagonal.
+     */
+    export type Transformation = 'identity' | 'rotate90' | 'rotate180' | 'rotate270' | 'mirrorX' | 'mirrorY' | 'mirrorDiagonal' | 'mirrorAntiDiagonal'
+    
+    function rotate180(p: Pattern): Pattern {
+        return Pattern.rotate(Pattern.rotate(p));
+    }
+    
+    const TRANSFORMATIONS: IRecord<Transformation, SymmetryFunction<Pattern>> = {
+        identity: p => p,
+        rotate90: Pattern.rotate,
+        rotate180,
+        rotate270: p => Pattern.rotate(rotate180(p)),
+        mirrorX: Pattern.reflectX,
+        mirrorY: Pattern.reflect,
+        mirrorDiagonal: p => Pattern.reflectX(Pattern.rotate(p)),
+        mirrorAntiDiagonal: p => Pattern.reflect(Pattern.rotate(p)),
+    };
+    
+    /**
+     * The transformations in each symmetry group.
+     */
+    const GROUP_TRANSFORMATIONS: IRecord<Group, readonly Transformation[]> = {
+        none: ['identity'],
+        mirrorX: ['identity', 'mirrorX'],
+        mirrorY: ['identity', 'mirrorY'],
+        mirrorXY: ['identity', 'mirrorX', 'mirrorY', 'rotate180'],
+        rotate180: ['identity', 'rotate180'],
+        rotate: ['identity', 'rotate90', 'rotate180', 'rotate270'],
+        all: ['identity', 'rotate90', 'rotate180', 'rotate270', 'mirrorX', 'mirrorY', 'mirrorDiagonal', 'mirrorAntiDiagonal'],
+    };
+    
+    /**
+     * Generating sets for each symmetry group.
+     */
+    const GENERATING_SETS: IRecord<Group, readonly SymmetryFunction<Pattern>[]> = {
+        none: [],
+        mirrorX: [Pattern.reflectX],
+        mirrorY: [Pattern.reflect],
+        mirrorXY: [Pattern.reflectX, Pattern.reflect],
+        rotate180: [rotate180],
+        rotate: [Pattern.rotate],
+        all: [Pattern.rotate, Pattern.reflect],
+    };
+    
+    /**
+     * Generating sets for each 3D symmetry group.
+     */
+    const GENERATING_SETS_3D: IRecord<Group3D, readonly SymmetryFunction<Pattern3D>[]> = {
+        none: [],
+        mirrorX: [Pattern3D.reflectX],
+        mirrorZ: [Pattern3D.reflectZ],
+        allXY: [Pattern3D.rotateZ, Pattern3D.reflectX],
+        rotate: [Pattern3D.rotateZ, Pattern3D.rotateX],
+        all: [Pattern3D.rotateZ, Pattern3D.rotateX, Pattern3D.reflectX],
+    };
+    
+    /**
+     * The names of the symmetry groups in MarkovJunior's notation.
+     */
+    const MARKOVJUNIOR_NAMES: IRecord<string, Group> = {
+        '()': 'none',
+        '(x)': 'mirrorX',
+        '(y)': 'mirrorY',
+        '(x)(y)': 'mirrorXY',
+        '(xy+)': 'rotate',
+        '(xy)': 'all',
+    };
+    
+    /**
+     * The names of the 3D symmetry groups in MarkovJunior's notation.
+     */
+    const MARKOVJUNIOR_NAMES_3D: IRecord<string, Group3D> = {
+        '()': 'none',
+        '(x)': 'mirrorX',
+        '(z)': 'mirrorZ',
+        '(xy)': 'allXY',
+        '(xyz+)': 'rotate',
+        '(xyz)': 'all',
+    };
+    
+    /**
+     * Returns the symmetry group named by a string in MarkovJunior's
+     * notation, e.g. `(x)` or `(xy)`. An error is thrown if the name is not
+     * recognised.
+     */
+    export function fromMarkovJuniorName(name: string): Group {
+        const group = MARKOVJUNIOR_NAMES[name];
+        if(group === undefined) { throw new Error(`Unsupported symmetry "${name}"`); }
+        return group;
+    }
+    
+    /**
+     * Returns the 3D symmetry group named by a string in MarkovJunior's
+     * notation, e.g. `(z)` or `(xyz)`. An error is thrown if the name is not
+     * recognised.
+     */
+    export function fromMarkovJuniorName3D(name: string): Group3D {
+        const group = MARKOVJUNIOR_NAMES_3D[name];
+        if(group === undefined) { throw new Error(`Unsupported 3D symmetry "${name}"`); }
+        return group;
+    }
+    
+    /**
+     * Returns the distinct pairs of input and output patterns obtained by
+     * applying each symmetry in the given group to a rule. The first pair is
+     * the rule as given.
+     */
+    export function generate(patternIn: Pattern, patternOut: Pattern, group: Group = 'all'): [Pattern, Pattern][] {
+        return closure(patternIn, patternOut, GENERATING_SETS[group], Pattern.key);
+    }
+    
+    /**
+     * Returns every transformation in the given symmetry group, starting with
+     * `'identity'`. Unlike `generate`, this includes transformations which
+     * have the same effect on a particular pattern.
+     */
+    export function transformationsOf(group: Group = 'all'): readonly Transformation[] {
+        return GROUP_TRANSFORMATIONS[group];
+    }
+    
+    /**
+     * Applies the named transformation to a pattern.
+     */
+    export function transform(pattern: Pattern, transformation: Transformation): Pattern {
+        return TRANSFORMATIONS[transformation](pattern);
+    }
+    
+    /**
+     * Returns the distinct pairs of input and output 3D patterns obtained by
+     * applying each symmetry in the given group to a rule. The first pair is
+     * the rule as given.
+     */
+    export function generate3D(patternIn: Pattern3D, patternOut: Pattern3D, group: Group3D = 'all'): [Pattern3D, Pattern3D][] {
+        return closure(patternIn, patternOut, GENERATING_SETS_3D[group], Pattern3D.key);
+    }
+    
+    /**
+     * Returns the distinct pairs of patterns reachable from the given pair by
+     * applying the symmetries any number of times.
+     */
+    function closure<P>(patternIn: P, patternOut: P, symmetries: readonly SymmetryFunction<P>[], patternKey: (p: P) => string): [P, P][] {
+        function key(p: P, q: P): string {
+            return `${patternKey(p)}/${patternKey(q)}`;
+        }
+        
         // depth-first search
-        const stack: [Pattern, Pattern][] = [[patternIn, patternOut]];
-        const entries = new Map<string, [Pattern, Pattern]>();
-        // TODO: key should include patternOut
-        entries.set(Pattern.key(patternIn), [patternIn, patternOut]);
+        const stack: [P, P][] = [[patternIn, patternOut]];
+        const entries = new Map<string, [P, P]>();
+        entries.set(key(patternIn, patternOut), [patternIn, patternOut]);
         while(stack.length > 0) {
             const [p, q] = stack.pop()!;
             for(const f of symmetries) {
-                const pSym = f(p);
-                const key = Pattern.key(pSym);
-                if(!entries.has(key)) {
-                    const pair: [Pattern, Pattern] = [pSym, f(q)];
-                    entries.set(key, pair);
+                const pair: [P, P] = [f(p), f(q)];
+                const k = key(...pair);
+                if(!entries.has(k)) {
+                    entries.set(k, pair);
                     stack.push(pair);
                 }
             }
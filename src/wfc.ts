@@ -0,0 +1,430 @@
+///<reference path="grid.ts"/>
+///<reference path="matcher.ts"/>
+///<reference path="random.ts"/>
+///<reference path="symmetry.ts"/>
+
+/**
+ * Options for extracting an `OverlappingModel` from a sample:
+ * - `symmetry`: each pattern in the sample is also included with every
+ *   transformation in this group; `'all'` by default.
+ */
+type OverlappingModelOptions = Readonly<{
+    symmetry?: Symmetry.Group,
+}>
+
+/**
+ * The offsets of the four neighbours of a position, in the order left,
+ * down, right, up; `(d + 2) % 4` is the opposite direction to `d`.
+ */
+const WFC_DX: readonly number[] = [-1, 0, 1, 0];
+const WFC_DY: readonly number[] = [0, 1, 0, -1];
+
+/**
+ * The overlapping model of WaveFunctionCollapse: an output grid is generated
+ * so that every n * n window of it is a pattern which occurs in a sample
+ * grid, or a transformation of one, with windows chosen in proportion to
+ * how often they occur in the sample.
+ * 
+ * https://github.com/mxgmn/WaveFunctionCollapse
+ */
+class OverlappingModel {
+    /**
+     * Extracts the n * n patterns from a sample grid. If the sample is
+     * periodic, then patterns which wrap around its edges are included.
+     */
+    public static fromSample(sample: Grid, n: number, options: OverlappingModelOptions = {}): OverlappingModel {
+        const {symmetry = 'all'} = options;
+        if(!Number.isInteger(n) || n < 1 || n > sample.width || n > sample.height) {
+            throw new Error(`Invalid pattern size ${n} for a ${sample.width}x${sample.height} sample`);
+        }
+        
+        const patterns = IDMap.withKey(Pattern.key);
+        const weights: number[] = [];
+        const maxX = sample.periodicX ? sample.width : sample.width - n + 1;
+        const maxY = sample.periodicY ? sample.height : sample.height - n + 1;
+        for(let y = 0; y < maxY; ++y) {
+            for(let x = 0; x < maxX; ++x) {
+                const data: number[] = [];
+                for(let dy = 0; dy < n; ++dy) {
+                    for(let dx = 0; dx < n; ++dx) {
+                        data.push(sample.grid[sample.index(x + dx, y + dy)]);
+                    }
+                }
+                const window = Pattern.ofRaster(n, n, data, []);
+                // every transformation is counted, even if several give the same pattern
+                for(const t of Symmetry.transformationsOf(symmetry)) {
+                    const id = patterns.getOrCreateID(Symmetry.transform(window, t));
+                    weights[id] = (weights[id] ?? 0) + 1;
+                }
+            }
+        }
+        return new OverlappingModel(sample.alphabet, n, patterns, weights);
+    }
+    
+    /**
+     * Maps each direction `d` and pattern ID `t` to the IDs of the patterns
+     * which agree with `t` when placed at the offset `(WFC_DX[d], WFC_DY[d])`
+     * from it; indexed as `propagator[d][t]`.
+     */
+    public readonly propagator: readonly (readonly (readonly number[])[])[];
+    
+    /**
+     * The cached matcher; see `matcher`.
+     */
+    private _matcher: PatternMatcher | undefined = undefined;
+    
+    private constructor(
+        public readonly alphabet: IDMap<string>,
+        /**
+         * The width and height of the patterns.
+         */
+        public readonly n: number,
+        /**
+         * The distinct n * n patterns which may occur in generated grids.
+         */
+        public readonly patterns: IDMap<Pattern>,
+        /**
+         * Maps each pattern ID to the number of times it occurs in the sample,
+         * counting once for each transformation in the symmetry group which
+         * gives it.
+         */
+        public readonly weights: readonly number[],
+    ) {
+        const numPatterns = patterns.size();
+        this.propagator = WFC_DX.map((dx, d) => {
+            const dy = WFC_DY[d];
+            return makeArray(numPatterns, t => {
+                const p = patterns.getByID(t);
+                const compatible: number[] = [];
+                patterns.forEach((q, u) => {
+                    if(OverlappingModel.agrees(p, q, dx, dy)) { compatible.push(u); }
+                });
+                return compatible;
+            });
+        });
+    }
+    
+    /**
+     * Indicates whether the patterns `p` and `q` have the same symbols where
+     * they overlap, when `q` is offset by (dx, dy) from `p`.
+     */
+    private static agrees(p: Pattern, q: Pattern, dx: number, dy: number): boolean {
+        const n = p.width;
+        const minX = Math.max(0, dx), maxX = Math.min(n, n + dx);
+        const minY = Math.max(0, dy), maxY = Math.min(n, n + dy);
+        for(let y = minY; y < maxY; ++y) {
+            for(let x = minX; x < maxX; ++x) {
+                if(p.rasterData[x + n * y] !== q.rasterData[(x - dx) + n * (y - dy)]) { return false; }
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * A matcher which recognises this model's patterns; this can be used to
+     * check which windows of a grid occur in the sample. It is compiled when
+     * first needed.
+     */
+    public get matcher(): PatternMatcher {
+        return this._matcher ??= PatternMatcher.of(this.alphabet, this.patterns.map(p => p));
+    }
+    
+    /**
+     * Creates a state for generating a grid of the given size. If the grid is
+     * periodic, then patterns may wrap around its edges.
+     */
+    public makeState(width: number, height: number, rand: RNG = MATH_RANDOM, topology?: Topology): WFCState {
+        return new WFCState(this, width, height, rand, topology);
+    }
+}
+
+/**
+ * Generates a grid using an `OverlappingModel`, one observation at a time.
+ * Each position of the grid has a set of patterns which may still be placed
+ * there; each step chooses the undecided position with the lowest entropy,
+ * chooses one of its patterns at random, and propagates the consequences to
+ * the other positions. Cells are written to the grid once they are decided;
+ * undecided cells hold the first symbol of the alphabet.
+ */
+class WFCState {
+    public readonly grid: Grid;
+    
+    /**
+     * The width and height of the area in which patterns are placed; if the
+     * grid is not periodic, patterns must not extend past its edges.
+     */
+    private readonly waveWidth: number;
+    private readonly waveHeight: number;
+    
+    /**
+     * Maps each position `i` and pattern ID `t` to 1 if `t` may still be
+     * placed at `i`, or 0 otherwise; indexed as `wave[i * numPatterns + t]`.
+     */
+    private readonly wave: Uint8Array;
+    
+    /**
+     * Maps each position `i`, pattern ID `t` and direction `d` to the number
+     * of patterns which may still be placed at the neighbour of `i` in the
+     * opposite direction to `d`, and agree with `t`; indexed as
+     * `compatible[(i * numPatterns + t) * 4 + d]`. When this becomes zero,
+     * `t` can no longer be placed at `i`.
+     */
+    private readonly compatible: Int32Array;
+    
+    /**
+     * The number of patterns which may still be placed at each position, and
+     * the sums of their weights and of their weights times log-weights, so
+     * that entropies are computed in O(1) time.
+     */
+    private readonly sumsOfOnes: Int32Array;
+    private readonly sumsOfWeights: Float64Array;
+    private readonly sumsOfWeightLogWeights: Float64Array;
+    
+    /**
+     * Pairs of (position, pattern ID) which were banned and whose consequences
+     * have not yet been propagated.
+     */
+    private readonly stack: number[] = [];
+    
+    /**
+     * The positions which became decided since the grid was last written to.
+     */
+    private readonly decided: number[] = [];
+    
+    private readonly weightLogWeights: readonly number[];
+    
+    private contradiction: boolean = false;
+    private done: boolean = false;
+    
+    public constructor(
+        public readonly model: OverlappingModel,
+        width: number,
+        height: number,
+        private rand: RNG = MATH_RANDOM,
+        topology: Topology = {},
+    ) {
+        const grid = this.grid = new Grid(model.alphabet, width, height, topology);
+        const {n} = model;
+        if((!grid.periodicX && n > width) || (!grid.periodicY && n > height)) {
+            throw new Error(`Pattern size ${n} is too large for a ${width}x${height} grid`);
+        }
+        this.waveWidth = grid.periodicX ? width : width - n + 1;
+        this.waveHeight = grid.periodicY ? height : height - n + 1;
+        
+        const numPositions = this.waveWidth * this.waveHeight;
+        const numPatterns = model.patterns.size();
+        this.wave = new Uint8Array(numPositions * numPatterns);
+        this.compatible = new Int32Array(numPositions * numPatterns * 4);
+        this.sumsOfOnes = new Int32Array(numPositions);
+        this.sumsOfWeights = new Float64Array(numPositions);
+        this.sumsOfWeightLogWeights = new Float64Array(numPositions);
+        this.weightLogWeights = model.weights.map(w => w * Math.log(w));
+        this.reset();
+    }
+    
+    /**
+     * Indicates whether the generation has finished, either because every
+     * position is decided or because of a contradiction.
+     */
+    public isDone(): boolean {
+        return this.done;
+    }
+    
+    /**
+     * Indicates whether the generation failed because some position has no
+     * patterns which may be placed there.
+     */
+    public isContradiction(): boolean {
+        return this.contradiction;
+    }
+    
+    /**
+     * Clears the grid and undoes all observations, so that the grid can be
+     * generated again. If `rand` is given, it is used for all random choices
+     * from now on.
+     */
+    public reset(rand: RNG = this.rand): void {
+        this.rand = rand;
+        const {model, wave, compatible, sumsOfOnes, sumsOfWeights, sumsOfWeightLogWeights} = this;
+        const {propagator, weights} = model;
+        const numPatterns = weights.length;
+        
+        wave.fill(1);
+        for(let i = 0; i < sumsOfOnes.length; ++i) {
+            for(let t = 0; t < numPatterns; ++t) {
+                for(let d = 0; d < 4; ++d) {
+                    compatible[(i * numPatterns + t) * 4 + d] = propagator[(d + 2) % 4][t].length;
+                }
+            }
+        }
+        sumsOfOnes.fill(numPatterns);
+        sumsOfWeights.fill(weights.reduce((a, b) => a + b, 0));
+        sumsOfWeightLogWeights.fill(this.weightLogWeights.reduce((a, b) => a + b, 0));
+        this.stack.length = 0;
+        this.decided.length = 0;
+        this.contradiction = false;
+        this.done = false;
+        this.grid.clear();
+        
+        // a model with a single pattern has nothing to observe
+        if(numPatterns === 1) {
+            for(let i = 0; i < sumsOfOnes.length; ++i) { this.decided.push(i); }
+            this.writeDecided();
+        }
+    }
+    
+    /**
+     * Makes one observation and propagates it, and returns `true` if the
+     * generation is not yet done.
+     */
+    public step(): boolean {
+        if(this.done) { return false; }
+        
+        const i = this.chooseObservation();
+        if(i >= 0) {
+            this.observe(i);
+            this.propagate();
+            this.writeDecided();
+        }
+        return !this.done;
+    }
+    
+    /**
+     * Generates the whole grid, starting again after a contradiction, up to
+     * `maxAttempts` times in total. An error is thrown if every attempt
+     * reaches a contradiction.
+     */
+    public run(maxAttempts: number = 10): void {
+        for(let attempt = 0; attempt < maxAttempts; ++attempt) {
+            if(attempt > 0) { this.reset(); }
+            while(this.step()) {}
+            if(!this.contradiction) { return; }
+        }
+        throw new Error(`Reached a contradiction in each of ${maxAttempts} attempts`);
+    }
+    
+    /**
+     * Returns the undecided position with the lowest entropy, with ties
+     * broken at random, or -1 if the generation is done.
+     */
+    private chooseObservation(): number {
+        const {sumsOfOnes, sumsOfWeights, sumsOfWeightLogWeights, rand} = this;
+        let best = -1, bestEntropy = Infinity;
+        for(let i = 0; i < sumsOfOnes.length; ++i) {
+            const k = sumsOfOnes[i];
+            if(k === 0) {
+                this.contradiction = this.done = true;
+                return -1;
+            } else if(k === 1) {
+                continue;
+            }
+            
+            const sum = sumsOfWeights[i];
+            const entropy = Math.log(sum) - sumsOfWeightLogWeights[i] / sum + 1e-6 * rand.nextFloat();
+            if(entropy < bestEntropy) {
+                best = i;
+                bestEntropy = entropy;
+            }
+        }
+        if(best < 0) { this.done = true; }
+        return best;
+    }
+    
+    /**
+     * Chooses one of the patterns which may be placed at position `i` at
+     * random, according to their weights, and bans the others.
+     */
+    private observe(i: number): void {
+        const {wave, model: {weights}} = this;
+        const numPatterns = weights.length;
+        const offset = i * numPatterns;
+        const t = weightedChoice(weights.map((w, t) => wave[offset + t] * w), this.rand);
+        for(let u = 0; u < numPatterns; ++u) {
+            if(u !== t && wave[offset + u] !== 0) { this.ban(i, u); }
+        }
+    }
+    
+    private ban(i: number, t: number): void {
+        const {wave, compatible, sumsOfOnes, model: {weights}} = this;
+        const numPatterns = weights.length;
+        wave[i * numPatterns + t] = 0;
+        compatible.fill(0, (i * numPatterns + t) * 4, (i * numPatterns + t + 1) * 4);
+        this.stack.push(i, t);
+        
+        const k = --sumsOfOnes[i];
+        this.sumsOfWeights[i] -= weights[t];
+        this.sumsOfWeightLogWeights[i] -= this.weightLogWeights[t];
+        if(k === 1) {
+            this.decided.push(i);
+        } else if(k === 0) {
+            this.contradiction = this.done = true;
+        }
+    }
+    
+    /**
+     * Bans the patterns which no longer agree with any pattern which may be
+     * placed at some neighbouring position, until no more can be banned.
+     */
+    private propagate(): void {
+        const {stack, compatible, waveWidth, waveHeight, grid, model: {propagator}} = this;
+        const numPatterns = this.model.weights.length;
+        
+        while(stack.length > 0 && !this.contradiction) {
+            const t1 = stack.pop()!, i1 = stack.pop()!;
+            const x1 = i1 % waveWidth, y1 = Math.floor(i1 / waveWidth);
+            
+            for(let d = 0; d < 4; ++d) {
+                let x2 = x1 + WFC_DX[d], y2 = y1 + WFC_DY[d];
+                if(grid.periodicX) {
+                    x2 = mod(x2, waveWidth);
+                } else if(x2 < 0 || x2 >= waveWidth) {
+                    continue;
+                }
+                if(grid.periodicY) {
+                    y2 = mod(y2, waveHeight);
+                } else if(y2 < 0 || y2 >= waveHeight) {
+                    continue;
+                }
+                
+                const i2 = x2 + waveWidth * y2;
+                for(const t2 of propagator[d][t1]) {
+                    const j = (i2 * numPatterns + t2) * 4 + d;
+                    if(compatible[j] > 0 && --compatible[j] === 0) { this.ban(i2, t2); }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Writes the cells determined by the newly-decided positions to the grid.
+     * Each position determines the cell at its top-left; where patterns
+     * cannot extend past the grid's edges, the positions at the right and
+     * bottom edges also determine the cells beyond them.
+     */
+    private writeDecided(): void {
+        const {decided, wave, waveWidth, waveHeight, grid, model} = this;
+        if(this.contradiction || decided.length === 0) { return; }
+        
+        const {n, patterns} = model;
+        const numPatterns = patterns.size();
+        const indices: number[] = [], values: number[] = [];
+        for(const i of decided) {
+            const offset = i * numPatterns;
+            let t = 0;
+            while(wave[offset + t] === 0) { ++t; }
+            const {rasterData} = patterns.getByID(t);
+            
+            const x = i % waveWidth, y = Math.floor(i / waveWidth);
+            const maxDX = !grid.periodicX && x === waveWidth - 1 ? n : 1;
+            const maxDY = !grid.periodicY && y === waveHeight - 1 ? n : 1;
+            for(let dy = 0; dy < maxDY; ++dy) {
+                for(let dx = 0; dx < maxDX; ++dx) {
+                    indices.push(grid.index(x + dx, y + dy));
+                    values.push(rasterData[dx + n * dy]);
+                }
+            }
+        }
+        decided.length = 0;
+        grid.setCells(indices, values);
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * A minimal XML parser, sufficient for reading MarkovJunior model files
+ * without depending on `DOMParser`, so it also works outside of a browser.
+ * Text content, processing instructions, comments and doctypes are ignored.
+ */
+namespace XML {
+    export type Element = Readonly<{
+        name: string,
+        attributes: IRecord<string, string>,
+        children: readonly Element[],
+    }>
+    
+    const ENTITIES: IRecord<string, string> = {
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: "'",
+    };
+    
+    function decodeEntities(s: string): string {
+        return s.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (m, e: string) => {
+            if(e.startsWith('#x')) {
+                return String.fromCodePoint(parseInt(e.slice(2), 16));
+            } else if(e.startsWith('#')) {
+                return String.fromCodePoint(parseInt(e.slice(1), 10));
+            } else {
+                return ENTITIES[e] ?? m;
+            }
+        });
+    }
+    
+    /**
+     * Parses an XML document, and returns its root element. An error is
+     * thrown if the document is not well-formed.
+     */
+    export function parse(src: string): Element {
+        const tokenRegex = /<!--[^]*?-->|<\?[^]*?\?>|<![^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+|</g;
+        const attributeRegex = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        
+        type MutableElement = {name: string, attributes: IRecord<string, string>, children: MutableElement[]}
+        const root: MutableElement = {name: '', attributes: {}, children: []};
+        const stack = [root];
+        
+        let match: RegExpExecArray | null;
+        while((match = tokenRegex.exec(src)) !== null) {
+            const [token, closeName, openName, attributeString, selfClosing] = match;
+            const parent = stack[stack.length - 1];
+            if(openName !== undefined) {
+                const attributes: Record<string, string> = {};
+                let a: RegExpExecArray | null;
+                while((a = attributeRegex.exec(attributeString)) !== null) {
+                    attributes[a[1]] = decodeEntities(a[2] ?? a[3]);
+                }
+                const element: MutableElement = {name: openName, attributes, children: []};
+                parent.children.push(element);
+                if(selfClosing === '') { stack.push(element); }
+            } else if(closeName !== undefined) {
+                if(closeName !== parent.name) {
+                    throw new Error(`Unexpected closing tag </${closeName}>, expected </${parent.name}>`);
+                }
+                stack.pop();
+            } else if(token === '<') {
+                throw new Error(`Malformed tag at position ${match.index}`);
+            } else if(!token.startsWith('<') && parent === root && token.trim() !== '') {
+                throw new Error(`Unexpected text outside of root element`);
+            }
+        }
+        
+        if(stack.length > 1) {
+            throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+        } else if(root.children.length !== 1) {
+            throw new Error(`Expected exactly one root element, found ${root.children.length}`);
+        }
+        return root.children[0];
+    }
+}